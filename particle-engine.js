@@ -0,0 +1,197 @@
+/**
+ * Particle simulation and canvas drawing
+ * Shared by ParticleSystem in script.js and by particle-worker.js, so it
+ * must not touch the DOM.
+ */
+
+// ============================================
+// SPATIAL HASH
+// ============================================
+
+/**
+ * Uniform grid bucketing particles by position so neighbour lookups only
+ * visit the 3x3 block of cells around a point instead of every particle
+ */
+class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    key(cellX, cellY) {
+        return cellY * 4096 + cellX;
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    insert(item) {
+        const key = this.key(Math.floor(item.x / this.cellSize), Math.floor(item.y / this.cellSize));
+        const cell = this.cells.get(key);
+
+        if (cell) {
+            cell.push(item);
+        } else {
+            this.cells.set(key, [item]);
+        }
+    }
+
+    forEachNear(x, y, callback) {
+        const cellX = Math.floor(x / this.cellSize);
+        const cellY = Math.floor(y / this.cellSize);
+
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (cellX + dx < 0 || cellY + dy < 0) continue;
+
+                const cell = this.cells.get(this.key(cellX + dx, cellY + dy));
+                if (cell) cell.forEach(callback);
+            }
+        }
+    }
+}
+
+// ============================================
+// PARTICLE FIELD
+// ============================================
+
+// Connection lines are batched into this many opacity levels per frame
+const CONNECTION_ALPHA_STEPS = 4;
+
+class ParticleField {
+    constructor({ count, width, height, connectionDistance = 120, mouseRadius = 100, maxSpeed = 3 }) {
+        this.width = width;
+        this.height = height;
+        this.connectionDistance = connectionDistance;
+        this.mouseRadius = mouseRadius;
+        this.maxSpeed = maxSpeed;
+        this.mouse = { x: -Infinity, y: -Infinity };
+        this.grid = new SpatialHash(Math.max(connectionDistance, 1));
+        this.particles = [];
+
+        this.populate(count);
+    }
+
+    populate(count) {
+        const random = (min, max) => Math.random() * (max - min) + min;
+
+        this.particles = Array.from({ length: count }, (_, index) => ({
+            index,
+            x: random(0, this.width),
+            y: random(0, this.height),
+            size: random(2, 5),
+            speedX: random(-1, 1),
+            speedY: random(-1, 1),
+            opacity: random(0.1, 0.3)
+        }));
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    setMouse(x, y) {
+        this.mouse.x = x;
+        this.mouse.y = y;
+    }
+
+    step() {
+        const { width, height, mouse, mouseRadius, maxSpeed } = this;
+
+        this.particles.forEach(particle => {
+            // Update position
+            particle.x += particle.speedX;
+            particle.y += particle.speedY;
+
+            // Bounce off walls
+            if (particle.x <= 0 || particle.x >= width) {
+                particle.speedX *= -1;
+            }
+            if (particle.y <= 0 || particle.y >= height) {
+                particle.speedY *= -1;
+            }
+
+            // Keep particles in bounds
+            particle.x = Math.max(0, Math.min(particle.x, width));
+            particle.y = Math.max(0, Math.min(particle.y, height));
+
+            // Mouse repulsion
+            const dx = mouse.x - particle.x;
+            const dy = mouse.y - particle.y;
+
+            if (dx * dx + dy * dy < mouseRadius * mouseRadius) {
+                const angle = Math.atan2(dy, dx);
+                particle.speedX -= Math.cos(angle) * 0.1;
+                particle.speedY -= Math.sin(angle) * 0.1;
+
+                // Stop repeated pushes from accelerating particles forever
+                particle.speedX = Math.max(-maxSpeed, Math.min(particle.speedX, maxSpeed));
+                particle.speedY = Math.max(-maxSpeed, Math.min(particle.speedY, maxSpeed));
+            }
+        });
+    }
+
+    /**
+     * Draw connection lines and particles onto a 2D context whose transform
+     * already maps CSS pixels to device pixels
+     */
+    draw(ctx, color) {
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+
+        if (this.connectionDistance > 0) {
+            this.drawConnections(ctx);
+        }
+
+        this.particles.forEach(particle => {
+            ctx.globalAlpha = particle.opacity;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size / 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+
+    drawConnections(ctx) {
+        const maxDistance = this.connectionDistance;
+        const maxDistanceSquared = maxDistance * maxDistance;
+        const buckets = Array.from({ length: CONNECTION_ALPHA_STEPS }, () => []);
+
+        this.grid.clear();
+        this.particles.forEach(particle => this.grid.insert(particle));
+
+        this.particles.forEach(particle => {
+            this.grid.forEachNear(particle.x, particle.y, other => {
+                // Each pair is visited twice; only keep one direction
+                if (other.index <= particle.index) return;
+
+                const dx = other.x - particle.x;
+                const dy = other.y - particle.y;
+                const distanceSquared = dx * dx + dy * dy;
+
+                if (distanceSquared < maxDistanceSquared) {
+                    const strength = 1 - Math.sqrt(distanceSquared) / maxDistance;
+                    const bucket = Math.min(CONNECTION_ALPHA_STEPS - 1, Math.floor(strength * CONNECTION_ALPHA_STEPS));
+                    buckets[bucket].push(particle.x, particle.y, other.x, other.y);
+                }
+            });
+        });
+
+        ctx.lineWidth = 1;
+        buckets.forEach((lines, bucket) => {
+            if (!lines.length) return;
+
+            ctx.globalAlpha = 0.2 * (bucket + 1) / CONNECTION_ALPHA_STEPS;
+            ctx.beginPath();
+            for (let i = 0; i < lines.length; i += 4) {
+                ctx.moveTo(lines[i], lines[i + 1]);
+                ctx.lineTo(lines[i + 2], lines[i + 3]);
+            }
+            ctx.stroke();
+        });
+    }
+}
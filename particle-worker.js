@@ -0,0 +1,84 @@
+/**
+ * Particle renderer running off the main thread
+ * Receives an OffscreenCanvas from WorkerParticleRenderer in script.js and
+ * drives the shared ParticleField simulation.
+ */
+
+importScripts('particle-engine.js');
+
+let field = null;
+let ctx = null;
+let canvas = null;
+let color = '#1a237e';
+let running = false;
+let frameId = null;
+
+const requestFrame = self.requestAnimationFrame
+    ? callback => self.requestAnimationFrame(callback)
+    : callback => setTimeout(callback, 16);
+
+const cancelFrame = self.cancelAnimationFrame
+    ? id => self.cancelAnimationFrame(id)
+    : id => clearTimeout(id);
+
+function resize(width, height, ratio) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    field.resize(width, height);
+
+    // Resizing clears the canvas; redraw so a stopped field stays visible
+    field.draw(ctx, color);
+}
+
+function frame() {
+    field.step();
+    field.draw(ctx, color);
+    frameId = running ? requestFrame(frame) : null;
+}
+
+function start() {
+    if (running) return;
+    running = true;
+    frameId = requestFrame(frame);
+}
+
+function stop() {
+    running = false;
+    if (frameId !== null) {
+        cancelFrame(frameId);
+        frameId = null;
+    }
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            canvas = data.canvas;
+            ctx = canvas.getContext('2d');
+            color = data.color;
+            field = new ParticleField(data.options);
+            resize(data.options.width, data.options.height, data.pixelRatio);
+            break;
+        case 'resize':
+            resize(data.width, data.height, data.pixelRatio);
+            break;
+        case 'mouse':
+            field.setMouse(data.x, data.y);
+            break;
+        case 'color':
+            color = data.color;
+            if (!running) field.draw(ctx, color);
+            break;
+        case 'start':
+            start();
+            break;
+        case 'stop':
+            stop();
+            break;
+        case 'destroy':
+            stop();
+            self.close();
+            break;
+    }
+};
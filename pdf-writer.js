@@ -0,0 +1,211 @@
+/**
+ * Minimal PDF writer for text documents
+ * Lays out wrapped text with the built-in Helvetica fonts, so no font files
+ * or third-party libraries are needed. Loaded on demand by ResumeBuilder in
+ * script.js. Only characters in the Windows-1252 set can be drawn; anything
+ * else is replaced with "?".
+ */
+
+// ============================================
+// FONT METRICS
+// ============================================
+
+// Advance widths (1/1000 em) for ASCII 32-126, from the Adobe core font AFMs
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const PDF_FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// Windows-1252 code points for the typographic characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+    '•': 149, // bullet
+    '–': 150, // en dash
+    '—': 151, // em dash
+    '‘': 145,
+    '’': 146,
+    '“': 147,
+    '”': 148,
+    '…': 133, // ellipsis
+    '€': 128
+};
+
+/**
+ * Map a string to single-byte Windows-1252 characters
+ */
+function toWinAnsi(text) {
+    return Array.from(String(text), char => {
+        const code = char.charCodeAt(0);
+        if (code >= 32 && code <= 126) return char;
+        if (code >= 160 && code <= 255) return char;
+        if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        if (char === '\n' || char === '\t') return ' ';
+        return '?';
+    }).join('');
+}
+
+// ============================================
+// DOCUMENT
+// ============================================
+
+class PdfDocument {
+    constructor({ title = '', author = '', pageWidth = 595.28, pageHeight = 841.89, margin = 50 } = {}) {
+        this.title = title;
+        this.author = author;
+        this.pageWidth = pageWidth;
+        this.pageHeight = pageHeight;
+        this.margin = margin;
+        this.pages = [];
+        this.y = 0;
+
+        this.addPage();
+    }
+
+    get contentWidth() {
+        return this.pageWidth - this.margin * 2;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.y = this.pageHeight - this.margin;
+    }
+
+    /**
+     * Start a new page unless `height` more points fit on this one
+     */
+    ensureSpace(height) {
+        if (this.y - height < this.margin) {
+            this.addPage();
+        }
+    }
+
+    measure(text, font = 'regular', size = 10) {
+        const widths = PDF_FONTS[font].widths;
+        let width = 0;
+
+        for (const char of toWinAnsi(text)) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return width * size / 1000;
+    }
+
+    wrap(text, font, size, width) {
+        const lines = [];
+        let line = '';
+
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+
+            if (line && this.measure(candidate, font, size) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Write wrapped text. `indent` shifts the whole block; `hanging` keeps
+     * wrapped lines aligned after a leading marker such as a bullet.
+     */
+    text(text, { font = 'regular', size = 10, color = [0.2, 0.2, 0.2], indent = 0, hanging = 0, lineHeight = 1.35 } = {}) {
+        const leading = size * lineHeight;
+        const lines = this.wrap(text, font, size, this.contentWidth - indent - hanging);
+
+        lines.forEach((line, index) => {
+            this.ensureSpace(leading);
+            this.y -= leading;
+
+            const x = this.margin + indent + (index > 0 ? hanging : 0);
+            this.pages[this.pages.length - 1].push(
+                `BT /${PDF_FONTS[font].resource} ${size} Tf ${color.join(' ')} rg ${x.toFixed(2)} ${this.y.toFixed(2)} Td (${this.escape(line)}) Tj ET`
+            );
+        });
+    }
+
+    space(height) {
+        this.y -= height;
+    }
+
+    rule({ color = [0.8, 0.8, 0.8], width = 0.5 } = {}) {
+        this.ensureSpace(8);
+        this.y -= 4;
+        this.pages[this.pages.length - 1].push(
+            `${color.join(' ')} RG ${width} w ${this.margin} ${this.y.toFixed(2)} m ${this.pageWidth - this.margin} ${this.y.toFixed(2)} l S`
+        );
+        this.y -= 4;
+    }
+
+    escape(text) {
+        return toWinAnsi(text).replace(/[\\()]/g, '\\$&');
+    }
+
+    /**
+     * Serialise to a PDF file. Every character is one byte, so string
+     * lengths double as the byte offsets the cross-reference table needs.
+     */
+    toBlob() {
+        const objects = [];
+        const fontIds = {};
+        const add = body => objects.push(body); // Returns the new object id
+
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null); // Pages, filled in once the page ids are known
+
+        Object.entries(PDF_FONTS).forEach(([name, font]) => {
+            fontIds[name] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+        });
+
+        const fontResources = Object.entries(PDF_FONTS)
+            .map(([name, font]) => `/${font.resource} ${fontIds[name]} 0 R`)
+            .join(' ');
+
+        const pageIds = this.pages.map(commands => {
+            const stream = commands.join('\n');
+            const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = add(`<< /Title (${this.escape(this.title)}) /Author (${this.escape(this.author)}) /Producer (pdf-writer.js) >>`);
+
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+        const bytes = Uint8Array.from(output, char => char.charCodeAt(0));
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+}
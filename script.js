@@ -14,17 +14,84 @@ const CONFIG = {
     TYPING_SPEED: 100,
     TYPING_DELAY: 2000,
     PARTICLE_COUNT: 50,
+    PARTICLE_CONNECTION_DISTANCE: 120, // px; 0 disables connection lines
+    PARTICLE_RENDERER: 'auto', // 'auto' | 'worker' | 'canvas' | 'dom'
     
     // API endpoints (if needed)
     FORM_ENDPOINT: 'https://formspree.io/f/your-form-id', // Replace with actual form endpoint
+    CONTACT_EMAIL: 'basavarajcc8970@gmail.com',
+    
+    // Contact form delivery
+    FORM_TRANSPORT: 'json', // 'json' | 'urlencoded' | 'mailto'
+    FORM_FALLBACK_TRANSPORT: 'mailto', // Used when the endpoint keeps failing; null to disable
+    FORM_TIMEOUT: 10000,
+    FORM_RETRIES: 2,
+    FORM_RETRY_DELAY: 1000,
+    FORM_OUTBOX_KEY: 'portfolio.contactOutbox',
+    FORM_OUTBOX_LIMIT: 10,
+    
+    // Contact form spam protection
+    SPAM_HONEYPOT_FIELD: 'website',
+    SPAM_MIN_SUBMIT_TIME: 3000, // ms between form render and submit
+    SPAM_RATE_LIMIT: { max: 3, window: 60 * 60 * 1000 }, // submissions per window (ms)
+    SPAM_STORAGE_KEY: 'portfolio.contactSubmissions',
+    SPAM_CHALLENGE_FIELD: 'challengeToken',
+    
+    // Content model for projects, timeline and skills
+    CONTENT_URL: 'portfolio.json',
+    
+    // Theme and motion preference persistence
+    THEME_STORAGE_KEY: 'portfolio.theme',
+    MOTION_STORAGE_KEY: 'portfolio.motion',
+    
+    // Interface language (message catalogues live in LOCALES_PATH/<code>.json)
+    LOCALES_PATH: 'locales',
+    DEFAULT_LANGUAGE: 'en', // Always loaded; fills in keys other catalogues lack
+    LANGUAGE_STORAGE_KEY: 'portfolio.language',
+    
+    // Responsive images (variants are generated by tools/build-images.js)
+    IMAGE_LOAD_MARGIN: '200px', // Start loading images this far outside the viewport
+    
+    // Scroll spy
+    SCROLL_SPY_OFFSET: 0.3, // Reading line, as a fraction of the viewport height from the top
+    SECTION_VIEW_MIN_DWELL: 1000, // ms a section must stay active to count as viewed
+    
+    // Analytics collection (see analytics-event.schema.json)
+    ANALYTICS_ENDPOINT: null, // Collector URL; null keeps events in the console
+    ANALYTICS_BATCH_SIZE: 20,
+    ANALYTICS_FLUSH_INTERVAL: 10000,
+    ANALYTICS_SAMPLE_RATE: 1, // Fraction of visitors tracked, 0-1
+    ANALYTICS_CONSENT_KEY: 'portfolio.analyticsConsent',
+    ANALYTICS_VISITOR_KEY: 'portfolio.visitorId',
+    ANALYTICS_SESSION_KEY: 'portfolio.sessionId',
+    
+    // Runtime error reporting
+    ERROR_ENDPOINT: null, // Collector URL; null keeps reports in localStorage only
+    ERROR_BUFFER_KEY: 'portfolio.errors',
+    ERROR_BUFFER_LIMIT: 20, // Distinct errors kept in localStorage
+    ERROR_BREADCRUMB_LIMIT: 20,
+    
+    // Performance budget (checked by PerformanceMonitor)
+    PERFORMANCE_BUDGET: {
+        lcp: 2500, // ms
+        cls: 0.1,
+        inp: 200, // ms
+        fcp: 1800, // ms
+        ttfb: 800, // ms
+        longFrame: 100, // ms for a single frame
+        loadingDelay: 1000 // ms the loading screen stays up once the page is ready
+    },
     
     // Feature flags
     ENABLE_PARTICLES: true,
     ENABLE_TYPING_ANIMATION: true,
-    ENABLE_SKILL_ANIMATIONS: true
+    ENABLE_SKILL_ANIMATIONS: true,
+    ENABLE_READING_PROGRESS: true, // Bar along the top of the viewport
+    ENABLE_SECTION_DOTS: true, // Rail of section links on wide screens
+    ENABLE_PERFORMANCE_OVERLAY: false // Debug panel when a budget is exceeded; ?perf in the URL also turns it on
 };
 
-// Dynamic titles for typing animation
+// Dynamic titles for typing animation; translated ones come from hero.titles
 const DYNAMIC_TITLES = [
     'VLSI Design Engineer',
     'Electronics Engineer',
@@ -36,9 +103,8 @@ const DYNAMIC_TITLES = [
 
 // Global state
 let isScrolling = false;
-let currentTitleIndex = 0;
 let particles = [];
-let animationFrameId = null;
+const scrollLock = { count: 0, scrollY: null }; // See lockBodyScroll()
 
 // ============================================
 // UTILITY FUNCTIONS
@@ -90,34 +156,51 @@ function isElementInViewport(el, threshold = 0.1) {
            elementBottom > windowHeight * threshold;
 }
 
+// Cancels the smooth scroll currently in flight, if any
+let cancelSmoothScroll = null;
+
 /**
- * Smooth scroll to target
+ * Smooth scroll to target (a selector or an element). Resolves once the
+ * scroll has finished or been superseded by another call.
  */
 function smoothScrollTo(target, duration = 1000) {
-    const targetElement = document.querySelector(target);
-    if (!targetElement) return;
+    const targetElement = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!targetElement) return Promise.resolve();
 
-    const targetPosition = targetElement.offsetTop - 80; // Account for navbar height
+    // Account for navbar height; rect works for nested elements too
+    const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset - 80;
+    
+    if (cancelSmoothScroll) cancelSmoothScroll();
+    
+    if (motion.reduced) {
+        window.scrollTo(0, targetPosition);
+        return Promise.resolve();
+    }
+    
     const startPosition = window.pageYOffset;
     const distance = targetPosition - startPosition;
-    let startTime = null;
-
-    function animation(currentTime) {
-        if (startTime === null) startTime = currentTime;
-        const timeElapsed = currentTime - startTime;
-        const run = easeInOutQuad(timeElapsed, startPosition, distance, duration);
-        window.scrollTo(0, run);
-        if (timeElapsed < duration) requestAnimationFrame(animation);
-    }
 
-    function easeInOutQuad(t, b, c, d) {
-        t /= d / 2;
-        if (t < 1) return c / 2 * t * t + b;
-        t--;
-        return -c / 2 * (t * (t - 2) - 1) + b;
+    function easeInOutQuad(t) {
+        return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
     }
 
-    requestAnimationFrame(animation);
+    return new Promise(resolve => {
+        const stop = scheduler.tween({
+            duration,
+            easing: easeInOutQuad,
+            onUpdate: (progress) => window.scrollTo(0, startPosition + distance * progress),
+            onComplete: () => {
+                cancelSmoothScroll = null;
+                resolve();
+            }
+        });
+        
+        cancelSmoothScroll = () => {
+            stop();
+            cancelSmoothScroll = null;
+            resolve();
+        };
+    });
 }
 
 /**
@@ -127,1012 +210,6620 @@ function random(min, max) {
     return Math.random() * (max - min) + min;
 }
 
+/**
+ * Escape a string for safe interpolation into HTML markup
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Random identifier for analytics visitors, sessions and events
+ */
+function createId() {
+    if (window.crypto?.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Stop the page behind an overlay from scrolling without losing its place.
+ * The body is pinned with position: fixed, since overflow: hidden does not
+ * stop touch scrolling everywhere; scheduler.scrollState keeps reporting
+ * the pinned position meanwhile. Locks nest, and the last release scrolls
+ * back. Returns the release function.
+ */
+function lockBodyScroll() {
+    if (scrollLock.count++ === 0) {
+        scrollLock.scrollY = window.pageYOffset;
+        Object.assign(document.body.style, {
+            position: 'fixed',
+            top: `-${scrollLock.scrollY}px`,
+            left: '0',
+            right: '0'
+        });
+    }
+    
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        if (--scrollLock.count > 0) return;
+        
+        Object.assign(document.body.style, { position: '', top: '', left: '', right: '' });
+        
+        // 'instant' skips the smooth scroll-behavior set in styles.css
+        window.scrollTo({ top: scrollLock.scrollY, behavior: 'instant' });
+        scrollLock.scrollY = null;
+    };
+}
+
 // ============================================
-// LOADING SCREEN
+// FRAME SCHEDULER
 // ============================================
 
-class LoadingScreen {
+/**
+ * Single requestAnimationFrame loop shared by every component.
+ * Each frame runs, in order: scroll listeners and queued DOM reads
+ * (`measure`), then tick listeners and queued DOM writes (`mutate`), so
+ * layout is computed at most once per frame instead of once per handler.
+ * Listeners carry a label (usually the owning component) so a profiler
+ * can attribute slow frames to them.
+ */
+class FrameScheduler {
     constructor() {
-        this.loadingScreen = document.getElementById('loading-screen');
-        this.loadingProgress = document.querySelector('.loading-progress');
-        this.currentProgress = 0;
-        this.targetProgress = 0;
-        this.isLoading = true;
+        // Callback -> label
+        this.listeners = {
+            scroll: new Map(),
+            tick: new Map(),
+            pause: new Map(),
+            resume: new Map()
+        };
+        this.reads = [];
+        this.writes = [];
+        this.frameId = null;
+        this.lastTime = null;
+        this.scrollDirty = true;
+        this.paused = false;
+        this.profiler = null; // Gets recordTask(label, start, duration) for every callback
         
-        this.init();
+        window.addEventListener('scroll', () => {
+            this.scrollDirty = true;
+            this.requestFrame();
+        }, { passive: true });
     }
     
-    init() {
-        // Simulate loading progress
-        this.simulateLoading();
+    /**
+     * Subscribe to 'scroll' (called with the scroll state at most once per
+     * frame), 'tick' (called with time and delta every frame), 'pause' or
+     * 'resume'. Returns an unsubscribe function.
+     */
+    on(event, callback, label = event) {
+        this.listeners[event].set(callback, label);
         
-        // Hide loading screen when everything is loaded
-        window.addEventListener('load', () => {
-            this.targetProgress = 100;
-            setTimeout(() => this.hideLoadingScreen(), 500);
-        });
+        if (event === 'tick') {
+            this.requestFrame();
+        } else if (event === 'scroll') {
+            // Deliver the current state on the next frame
+            this.scrollDirty = true;
+            this.requestFrame();
+        }
         
-        // Fallback: hide loading screen after maximum time
-        setTimeout(() => {
-            if (this.isLoading) {
-                this.hideLoadingScreen();
-            }
-        }, 5000);
+        return () => this.off(event, callback);
     }
     
-    simulateLoading() {
-        const updateProgress = () => {
-            if (this.currentProgress < this.targetProgress) {
-                this.currentProgress += Math.random() * 3;
-                this.loadingProgress.style.width = `${Math.min(this.currentProgress, 100)}%`;
-            }
-            
-            if (this.currentProgress < 95 && this.isLoading) {
-                requestAnimationFrame(updateProgress);
-            }
-        };
-        
-        // Simulate different loading stages
-        setTimeout(() => this.targetProgress = 30, 200);
-        setTimeout(() => this.targetProgress = 60, 800);
-        setTimeout(() => this.targetProgress = 85, 1500);
-        
-        updateProgress();
+    off(event, callback) {
+        this.listeners[event].delete(callback);
     }
     
-    hideLoadingScreen() {
-        this.isLoading = false;
-        this.currentProgress = 100;
-        this.loadingProgress.style.width = '100%';
-        
-        setTimeout(() => {
-            this.loadingScreen.classList.add('hidden');
-            
-            // Initialize other components after loading is complete
-            setTimeout(() => {
-                this.initializeComponents();
-            }, 500);
-        }, 300);
+    /**
+     * Queue a DOM read for the read phase of the next frame
+     */
+    measure(task) {
+        this.reads.push(task);
+        this.requestFrame();
+        return task;
     }
     
-    initializeComponents() {
-        // Initialize AOS animations
-        if (typeof AOS !== 'undefined') {
-            AOS.init({
-                duration: 800,
-                easing: 'ease-out-cubic',
-                once: true,
-                offset: 50
-            });
-        }
+    /**
+     * Queue a DOM write for the write phase of the next frame
+     */
+    mutate(task) {
+        this.writes.push(task);
+        this.requestFrame();
+        return task;
+    }
+    
+    /**
+     * Animate from 0 to 1 over `duration` ms, calling `onUpdate` with the eased
+     * progress during the write phase. Time spent paused is not counted.
+     * Returns a function that cancels the tween.
+     */
+    tween({ duration, easing = t => t, onUpdate, onComplete, label = 'tween' }) {
+        let elapsed = 0;
         
-        // Initialize other components
-        new Navigation();
-        new HeroSection();
-        new SkillsSection();
-        new ContactForm();
-        new ScrollAnimations();
+        const unsubscribe = this.on('tick', (time, delta) => {
+            elapsed += delta;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+            
+            onUpdate(easing(progress), progress);
+            
+            if (progress >= 1) {
+                unsubscribe();
+                if (onComplete) onComplete();
+            }
+        }, label);
         
-        // Initialize particles if enabled
-        if (CONFIG.ENABLE_PARTICLES) {
-            new ParticleSystem();
-        }
+        return unsubscribe;
     }
-}
-
-// ============================================
-// NAVIGATION
-// ============================================
-
-class Navigation {
-    constructor() {
-        this.navbar = document.querySelector('.navbar');
-        this.navToggle = document.getElementById('nav-toggle');
-        this.navMenu = document.getElementById('nav-menu');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        this.isMenuOpen = false;
-        
-        this.init();
+    
+    get scrollState() {
+        return {
+            scrollY: scrollLock.scrollY ?? window.pageYOffset,
+            viewportHeight: window.innerHeight,
+            documentHeight: document.documentElement.scrollHeight
+        };
     }
     
-    init() {
-        this.bindEvents();
-        this.handleScroll();
-        this.updateActiveLink();
+    get hasWork() {
+        return this.listeners.tick.size > 0 || this.reads.length > 0 || this.writes.length > 0;
     }
     
-    bindEvents() {
-        // Mobile menu toggle
-        this.navToggle?.addEventListener('click', () => this.toggleMobileMenu());
+    requestFrame() {
+        if (this.paused || this.frameId !== null) return;
+        this.frameId = requestAnimationFrame((time) => this.flush(time));
+    }
+    
+    flush(time) {
+        this.frameId = null;
+        const delta = this.lastTime === null ? 0 : Math.min(time - this.lastTime, 100);
+        this.lastTime = time;
         
-        // Close mobile menu when clicking on links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = link.getAttribute('href');
-                this.closeMobileMenu();
-                smoothScrollTo(target);
-                setTimeout(() => this.updateActiveLink(), 100);
-            });
-        });
+        // Read phase
+        if (this.scrollDirty && this.listeners.scroll.size) {
+            this.scrollDirty = false;
+            const state = this.scrollState;
+            this.listeners.scroll.forEach((label, callback) => this.run(label, callback, state));
+        }
+        this.drain(this.reads, 'measure');
         
-        // Handle scroll events
-        window.addEventListener('scroll', throttle(() => {
-            this.handleScroll();
-            this.updateActiveLink();
-        }, 10));
+        // Write phase
+        this.listeners.tick.forEach((label, callback) => this.run(label, callback, time, delta));
+        this.drain(this.writes, 'mutate');
         
-        // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (this.isMenuOpen && !this.navbar.contains(e.target)) {
-                this.closeMobileMenu();
-            }
-        });
-    }
-    
-    toggleMobileMenu() {
-        this.isMenuOpen = !this.isMenuOpen;
-        this.navMenu.classList.toggle('active');
-        this.animateHamburger();
+        if (this.hasWork) {
+            this.requestFrame();
+        } else {
+            // Next frame after an idle period starts with a zero delta
+            this.lastTime = null;
+        }
     }
     
-    closeMobileMenu() {
-        this.isMenuOpen = false;
-        this.navMenu.classList.remove('active');
-        this.animateHamburger();
+    drain(queue, label) {
+        const tasks = queue.splice(0);
+        tasks.forEach(task => this.run(label, task));
     }
     
-    animateHamburger() {
-        const hamburger = this.navToggle?.querySelector('.hamburger');
-        if (hamburger) {
-            hamburger.style.transform = this.isMenuOpen 
-                ? 'rotate(45deg)' 
-                : 'rotate(0deg)';
+    run(label, callback, ...args) {
+        const start = this.profiler ? performance.now() : 0;
+        
+        try {
+            callback(...args);
+        } catch (error) {
+            console.error('Frame callback failed:', error);
         }
+        
+        if (this.profiler) this.profiler.recordTask(label, start, performance.now() - start);
     }
     
-    handleScroll() {
-        const scrolled = window.pageYOffset > CONFIG.SCROLL_THRESHOLD;
-        this.navbar.classList.toggle('scrolled', scrolled);
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.listeners.pause.forEach((label, callback) => this.run(label, callback));
     }
     
-    updateActiveLink() {
-        const sections = document.querySelectorAll('section[id]');
-        const scrollPos = window.pageYOffset + 100;
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.lastTime = null;
+        this.scrollDirty = true;
         
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.clientHeight;
-            const sectionId = section.getAttribute('id');
-            
-            if (scrollPos >= sectionTop && scrollPos < sectionTop + sectionHeight) {
-                this.navLinks.forEach(link => {
-                    link.classList.remove('active');
-                    if (link.getAttribute('href') === `#${sectionId}`) {
-                        link.classList.add('active');
-                    }
-                });
-            }
-        });
+        this.listeners.resume.forEach((label, callback) => this.run(label, callback));
+        this.requestFrame();
     }
 }
 
+const scheduler = new FrameScheduler();
+
+// Easing curves for scheduler.tween(), by name so markup can pick one
+const EASINGS = {
+    linear: t => t,
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4)
+};
+
 // ============================================
-// HERO SECTION
+// MOTION PREFERENCE
 // ============================================
 
-class HeroSection {
+/**
+ * Single source of truth for whether JS-driven animation should run.
+ * Follows prefers-reduced-motion unless the visitor has chosen explicitly
+ * with the motion toggle; the choice is persisted in localStorage.
+ * Components check `motion.reduced` and listen for `portfolioMotionChange`.
+ */
+class MotionPreference {
     constructor() {
-        this.dynamicTitle = document.getElementById('dynamic-title');
-        this.heroStats = document.querySelectorAll('.stat-number');
-        this.techItems = document.querySelectorAll('.tech-item');
+        this.root = document.documentElement;
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.preference = this.loadPreference();
+        this.current = null;
         
-        if (CONFIG.ENABLE_TYPING_ANIMATION) {
-            this.initTypingAnimation();
+        this.query.addEventListener('change', () => {
+            if (this.preference === 'system') this.apply();
+        });
+        this.apply();
+    }
+    
+    get reduced() {
+        if (this.preference === 'system') return this.query.matches;
+        return this.preference === 'reduce';
+    }
+    
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(CONFIG.MOTION_STORAGE_KEY);
+            return ['reduce', 'full'].includes(stored) ? stored : 'system';
+        } catch (error) {
+            return 'system';
         }
-        
-        this.initStatsAnimation();
-        this.initTechItemsAnimation();
     }
     
-    initTypingAnimation() {
-        if (!this.dynamicTitle) return;
-        
-        let charIndex = 0;
-        let isDeleting = false;
-        let currentText = '';
+    setPreference(preference) {
+        this.preference = preference;
         
-        const typeText = () => {
-            const fullText = DYNAMIC_TITLES[currentTitleIndex];
-            
-            if (isDeleting) {
-                currentText = fullText.substring(0, currentText.length - 1);
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(CONFIG.MOTION_STORAGE_KEY);
             } else {
-                currentText = fullText.substring(0, charIndex + 1);
-                charIndex++;
-            }
-            
-            this.dynamicTitle.textContent = currentText;
-            
-            let typeSpeed = CONFIG.TYPING_SPEED;
-            
-            if (isDeleting) {
-                typeSpeed /= 2;
-            }
-            
-            if (!isDeleting && currentText === fullText) {
-                typeSpeed = CONFIG.TYPING_DELAY;
-                isDeleting = true;
-            } else if (isDeleting && currentText === '') {
-                isDeleting = false;
-                charIndex = 0;
-                currentTitleIndex = (currentTitleIndex + 1) % DYNAMIC_TITLES.length;
-                typeSpeed = 500;
+                localStorage.setItem(CONFIG.MOTION_STORAGE_KEY, preference);
             }
-            
-            setTimeout(typeText, typeSpeed);
-        };
-        
-        // Start typing animation after a short delay
-        setTimeout(typeText, 1000);
-    }
-    
-    initStatsAnimation() {
-        const animateStats = () => {
-            this.heroStats.forEach(stat => {
-                if (isElementInViewport(stat)) {
-                    const finalValue = stat.textContent;
-                    const isNumber = !isNaN(parseFloat(finalValue));
-                    
-                    if (isNumber) {
-                        const startValue = 0;
-                        const endValue = parseFloat(finalValue);
-                        const duration = 2000;
-                        const startTime = performance.now();
-                        
-                        const updateValue = (currentTime) => {
-                            const elapsed = currentTime - startTime;
-                            const progress = Math.min(elapsed / duration, 1);
-                            const current = startValue + (endValue - startValue) * this.easeOutCubic(progress);
-                            
-                            if (finalValue.includes('.')) {
-                                stat.textContent = current.toFixed(1);
-                            } else if (finalValue.includes('+')) {
-                                stat.textContent = Math.floor(current) + '+';
-                            } else {
-                                stat.textContent = Math.floor(current);
-                            }
-                            
-                            if (progress < 1) {
-                                requestAnimationFrame(updateValue);
-                            }
-                        };
-                        
-                        requestAnimationFrame(updateValue);
-                    }
-                }
-            });
-        };
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this visit only
+        }
         
-        // Animate stats when they come into view
-        window.addEventListener('scroll', throttle(animateStats, 100));
-        animateStats(); // Initial check
+        this.apply();
     }
     
-    initTechItemsAnimation() {
-        this.techItems.forEach((item, index) => {
-            item.style.animationDelay = `${index * 0.2}s`;
-            
-            item.addEventListener('mouseenter', () => {
-                item.style.transform = 'translateY(-10px) scale(1.1) rotateY(10deg)';
-            });
-            
-            item.addEventListener('mouseleave', () => {
-                item.style.transform = 'translateY(0) scale(1) rotateY(0deg)';
-            });
-        });
+    toggle() {
+        this.setPreference(this.reduced ? 'full' : 'reduce');
+    }
+    
+    /**
+     * Wire a button as an aria-pressed toggle for "reduce motion".
+     * Returns a function that unwires it.
+     */
+    bindToggle(button) {
+        if (!button) return () => {};
+        
+        const update = () => {
+            button.setAttribute('aria-pressed', String(this.reduced));
+            button.title = this.reduced ? 'Animations off' : 'Animations on';
+        };
+        const handleClick = () => {
+            this.toggle();
+            window.announceToScreenReader?.(this.reduced ? 'Animations turned off' : 'Animations turned on');
+        };
+        
+        button.setAttribute('aria-label', 'Reduce motion');
+        button.addEventListener('click', handleClick);
+        document.addEventListener('portfolioMotionChange', update);
+        update();
+        
+        return () => {
+            button.removeEventListener('click', handleClick);
+            document.removeEventListener('portfolioMotionChange', update);
+        };
     }
     
-    easeOutCubic(t) {
-        return 1 - Math.pow(1 - t, 3);
+    apply() {
+        const reduced = this.reduced;
+        this.root.dataset.motion = reduced ? 'reduced' : 'full';
+        
+        if (reduced === this.current) return;
+        this.current = reduced;
+        
+        document.dispatchEvent(new CustomEvent('portfolioMotionChange', {
+            detail: { reduced, preference: this.preference }
+        }));
     }
 }
 
+const motion = new MotionPreference();
+
 // ============================================
-// PARTICLE SYSTEM
+// INTERNATIONALISATION
 // ============================================
 
-class ParticleSystem {
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-IN', dir: 'ltr' },
+    kn: { label: 'ಕನ್ನಡ', locale: 'kn-IN', dir: 'ltr', font: 'Noto Sans Kannada' },
+    hi: { label: 'हिन्दी', locale: 'hi-IN', dir: 'ltr', font: 'Noto Sans Devanagari' }
+};
+
+/**
+ * Message catalogues, formatting and the interface language. Catalogues are
+ * fetched on first use; the default language is always loaded as well so a
+ * key missing from a translation falls back to English. Markup opts in with
+ * `data-i18n="key"` (text) and `data-i18n-attr="attribute:key, ..."`; code
+ * calls `i18n.t()` and listens for `portfolioLanguageChange`.
+ */
+class I18n {
     constructor() {
-        this.container = document.getElementById('particles');
-        if (!this.container) return;
+        this.root = document.documentElement;
+        this.catalogues = new Map();
+        this.loadedFonts = new Set();
+        this.language = CONFIG.DEFAULT_LANGUAGE;
         
-        this.particles = [];
-        this.mouse = { x: 0, y: 0 };
-        this.init();
+        this.ready = this.setLanguage(this.loadPreference(), { persist: false }).catch(error => {
+            console.warn('Message catalogues unavailable, keeping static markup:', error.message);
+        });
     }
     
-    init() {
-        this.createParticles();
-        this.bindEvents();
-        this.animate();
+    get locale() {
+        return LANGUAGES[this.language].locale;
     }
     
-    createParticles() {
-        for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
-            this.particles.push({
-                x: random(0, this.container.offsetWidth),
-                y: random(0, this.container.offsetHeight),
-                size: random(2, 5),
-                speedX: random(-1, 1),
-                speedY: random(-1, 1),
-                opacity: random(0.1, 0.3),
-                element: null
-            });
+    /**
+     * Stored choice first, then the browser's preferred languages
+     */
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(CONFIG.LANGUAGE_STORAGE_KEY);
+            if (LANGUAGES[stored]) return stored;
+        } catch (error) {
+            // Storage unavailable: fall through to the browser languages
         }
         
-        this.particles.forEach(particle => {
-            const element = document.createElement('div');
-            element.className = 'particle';
-            element.style.cssText = `
-                position: absolute;
-                width: ${particle.size}px;
-                height: ${particle.size}px;
-                background: #1a237e;
-                border-radius: 50%;
-                opacity: ${particle.opacity};
-                pointer-events: none;
-            `;
-            particle.element = element;
-            this.container.appendChild(element);
-        });
+        const preferred = (navigator.languages || [navigator.language])
+            .map(tag => String(tag).split('-')[0].toLowerCase())
+            .find(code => LANGUAGES[code]);
+        
+        return preferred || CONFIG.DEFAULT_LANGUAGE;
     }
     
-    bindEvents() {
-        this.container.addEventListener('mousemove', (e) => {
-            const rect = this.container.getBoundingClientRect();
-            this.mouse.x = e.clientX - rect.left;
-            this.mouse.y = e.clientY - rect.top;
+    /**
+     * Fetch a catalogue once; concurrent callers share the same request
+     */
+    load(language) {
+        if (!this.catalogues.has(language)) {
+            const url = `${CONFIG.LOCALES_PATH}/${language}.json`;
+            const request = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`${url} responded with ${response.status}`);
+                }
+                return response.json();
+            });
+            
+            // Let a failed request be retried on the next switch
+            request.catch(() => this.catalogues.delete(language));
+            this.catalogues.set(language, request);
+        }
+        
+        return this.catalogues.get(language);
+    }
+    
+    async setLanguage(language, { persist = true } = {}) {
+        if (!LANGUAGES[language]) {
+            throw new Error(`Unknown language "${language}"`);
+        }
+        
+        const [fallback, messages] = await Promise.all([
+            this.load(CONFIG.DEFAULT_LANGUAGE),
+            this.load(language)
+        ]);
+        
+        this.fallback = fallback;
+        this.messages = messages;
+        this.language = language;
+        
+        if (persist) {
+            try {
+                localStorage.setItem(CONFIG.LANGUAGE_STORAGE_KEY, language);
+            } catch (error) {
+                // Storage unavailable: the choice lasts for this visit only
+            }
+        }
+        
+        this.apply();
+    }
+    
+    /**
+     * Look up a key ("hero.titles") in the active catalogue, then the fallback
+     */
+    get(key) {
+        const lookup = catalogue => key.split('.').reduce((value, part) => value?.[part], catalogue);
+        return lookup(this.messages) ?? lookup(this.fallback);
+    }
+    
+    /**
+     * Translate a key, filling `{name}` placeholders from params. Returns
+     * `fallback` (the key itself by default) when no catalogue has it.
+     */
+    t(key, params = {}, fallback = key) {
+        const message = this.get(key);
+        const template = typeof message === 'string' ? message : fallback;
+        return template.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+    
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+    
+    formatDate(date, options) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+    
+    /**
+     * Translate marked-up text and attributes and localise timeline dates
+     * inside `scope`. Call again for content added after a language switch.
+     */
+    translate(scope = document) {
+        if (!this.messages) return;
+        
+        scope.querySelectorAll('[data-i18n]').forEach(element => {
+            const message = this.get(element.dataset.i18n);
+            if (typeof message === 'string') element.textContent = message;
+        });
+        
+        scope.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                const message = this.get(key);
+                if (attribute && typeof message === 'string') element.setAttribute(attribute, message);
+            });
+        });
+        
+        scope.querySelectorAll('.timeline-date').forEach(element => {
+            // Keep the English source so other readers (e.g. the résumé) can parse it
+            element.dataset.date ??= element.textContent.trim();
+            element.textContent = this.formatDateRange(element.dataset.date);
+        });
+    }
+    
+    /**
+     * "Sep 2023 - Aug 2027" → "ಸೆಪ್ಟೆಂ 2023 - ಆಗ 2027"; unparseable parts pass through
+     */
+    formatDateRange(text) {
+        return text.split(/\s+[-–—]\s+/).map(part => {
+            if (/^present$/i.test(part)) return this.t('timeline.present');
+            
+            const [year, month] = (toResumeDate(part) || '').split('-').map(Number);
+            if (!year) return part;
+            
+            return month
+                ? this.formatDate(new Date(year, month - 1), { month: 'short', year: 'numeric' })
+                : this.formatDate(new Date(year, 0), { year: 'numeric' });
+        }).join(' - ');
+    }
+    
+    /**
+     * Fetch the web font for scripts Poppins does not cover
+     */
+    loadFont(language) {
+        const font = LANGUAGES[language].font;
+        if (!font || this.loadedFonts.has(font)) return;
+        
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = `https://fonts.googleapis.com/css2?family=${font.replace(/ /g, '+')}:wght@300;400;500;600;700&display=swap`;
+        document.head.appendChild(link);
+        this.loadedFonts.add(font);
+    }
+    
+    apply() {
+        const language = this.language;
+        
+        this.loadFont(language);
+        this.root.lang = language;
+        this.root.dir = LANGUAGES[language].dir;
+        this.translate();
+        
+        document.dispatchEvent(new CustomEvent('portfolioLanguageChange', {
+            detail: { language, locale: this.locale }
+        }));
+    }
+    
+    /**
+     * Populate a <select> with the available languages and switch on change
+     */
+    bindSwitcher(select) {
+        if (!select) return;
+        
+        select.innerHTML = Object.entries(LANGUAGES)
+            .map(([code, { label }]) => `<option value="${code}" lang="${code}">${escapeHTML(label)}</option>`)
+            .join('');
+        select.value = this.language;
+        select.hidden = false;
+        
+        select.addEventListener('change', async () => {
+            try {
+                await this.setLanguage(select.value);
+                window.announceToScreenReader?.(LANGUAGES[this.language].label);
+                window.analytics?.track('language_changed', { language: this.language });
+            } catch (error) {
+                console.error('Could not switch language:', error);
+                select.value = this.language;
+            }
+        });
+        document.addEventListener('portfolioLanguageChange', () => {
+            select.value = this.language;
+        });
+    }
+}
+
+const i18n = new I18n();
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+/**
+ * Base class for page components. Listeners, scheduler subscriptions,
+ * observers and timers registered through these helpers are released by
+ * destroy(), so a component can be torn down and created again. While
+ * paused, 'scroll' and 'tick' callbacks are skipped; subclasses extend
+ * pause(), resume() and destroy() for anything else they own.
+ */
+class Component {
+    constructor() {
+        this.paused = false;
+        this.disposers = [];
+        this.timers = new Set();
+    }
+    
+    listen(target, type, handler, options) {
+        if (!target) return;
+        target.addEventListener(type, handler, options);
+        this.disposers.push(() => target.removeEventListener(type, handler, options));
+    }
+    
+    /**
+     * scheduler.on() that is undone by destroy(); returns the unsubscribe
+     */
+    subscribe(event, callback) {
+        const gated = event === 'scroll' || event === 'tick';
+        const unsubscribe = scheduler.on(event, (...args) => {
+            if (!gated || !this.paused) callback(...args);
+        }, this.constructor.name);
+        
+        this.disposers.push(unsubscribe);
+        return unsubscribe;
+    }
+    
+    /**
+     * Run `dispose` on destroy, e.g. to disconnect an observer
+     */
+    addDisposer(dispose) {
+        this.disposers.push(dispose);
+        return dispose;
+    }
+    
+    setTimeout(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        
+        this.timers.add(timer);
+        return timer;
+    }
+    
+    clearTimeout(timer) {
+        clearTimeout(timer);
+        this.timers.delete(timer);
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
+    destroy() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        
+        // Undo in reverse so later registrations can rely on earlier ones
+        this.disposers.splice(0).reverse().forEach(dispose => dispose());
+    }
+}
+
+/**
+ * Owns every page component by name. Components are created in
+ * registration order, grouped into stages ('dom' once the document is
+ * parsed, 'content' once the loading screen hides), and can be paused,
+ * resumed, destroyed or rebuilt individually or all together. A factory
+ * receives the registry to look up its dependencies and may return an
+ * array (e.g. every Typewriter on the page). Dependencies named in
+ * `dependsOn` must be registered first; destroying or rebuilding one of
+ * them does the same to its dependents, so none is left holding a
+ * destroyed instance. Failures are reported through errorReporter and
+ * leave the other components running.
+ */
+class ComponentRegistry {
+    constructor() {
+        this.definitions = new Map();
+        this.instances = new Map();
+    }
+    
+    register(name, create, { stage = 'content', dependsOn = [] } = {}) {
+        const unknown = dependsOn.find(dependency => !this.definitions.has(dependency));
+        if (unknown) throw new Error(`Component "${name}" depends on "${unknown}", which is not registered before it`);
+        
+        this.definitions.set(name, { create, stage, dependsOn });
+        return this;
+    }
+    
+    get(name) {
+        return this.instances.get(name) ?? null;
+    }
+    
+    /**
+     * Like get(), for a dependency the caller cannot work without
+     */
+    require(name) {
+        if (!this.instances.has(name)) throw new Error(`Component "${name}" is not running`);
+        return this.instances.get(name);
+    }
+    
+    has(name) {
+        return this.instances.has(name);
+    }
+    
+    /**
+     * Create a registered component unless it is already running
+     */
+    init(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) throw new Error(`Unknown component "${name}"`);
+        if (this.instances.has(name)) return this.instances.get(name);
+        
+        const instance = errorReporter.guard(name, () => definition.create(this));
+        if (instance) this.instances.set(name, instance);
+        return instance;
+    }
+    
+    initAll(stage) {
+        this.definitions.forEach((definition, name) => {
+            if (!stage || definition.stage === stage) this.init(name);
+        });
+    }
+    
+    pause(name) {
+        this.call(name, 'pause');
+    }
+    
+    resume(name) {
+        this.call(name, 'resume');
+    }
+    
+    /**
+     * `name` and every running component depending on it, directly or
+     * through another one, in registration order
+     */
+    withDependents(name) {
+        const names = new Set([name]);
+        this.definitions.forEach((definition, key) => {
+            if (this.instances.has(key) && definition.dependsOn.some(dependency => names.has(dependency))) {
+                names.add(key);
+            }
+        });
+        return [...this.definitions.keys()].filter(key => names.has(key));
+    }
+    
+    /**
+     * Destroy one component together with its dependents, or every running
+     * one, in reverse order
+     */
+    destroy(name) {
+        const names = name ? this.withDependents(name) : [...this.instances.keys()];
+        
+        names.reverse().forEach(key => {
+            this.call(key, 'destroy');
+            this.instances.delete(key);
+        });
+    }
+    
+    /**
+     * Destroy and recreate one component with its dependents, or every
+     * running one, e.g. after the content they were built from has been
+     * re-rendered
+     */
+    reinit(name) {
+        const names = name ? this.withDependents(name) : [...this.instances.keys()];
+        
+        this.destroy(name);
+        [...this.definitions.keys()]
+            .filter(key => names.includes(key))
+            .forEach(key => this.init(key));
+    }
+    
+    call(name, method) {
+        const names = name ? [name] : [...this.instances.keys()];
+        
+        names.forEach(key => {
+            [].concat(this.instances.get(key) ?? []).forEach(instance => {
+                errorReporter.guard(key, () => instance[method]?.());
+            });
+        });
+    }
+}
+
+const components = new ComponentRegistry();
+
+// ============================================
+// CONTENT MODEL & RENDERING
+// ============================================
+
+// What a timeline entry records; decides where it goes on the résumé
+const TIMELINE_KINDS = ['education', 'work', 'certificate', 'training', 'volunteer'];
+
+/**
+ * Shape of portfolio.json. Keys ending in "?" are optional, arrays describe
+ * the shape of every element, and strings name a primitive type checked by
+ * ContentValidator.checkType().
+ */
+const CONTENT_SCHEMA = {
+    project: {
+        id: 'slug',
+        category: 'string',
+        title: 'string',
+        description: 'string',
+        'overview?': ['string'],
+        icon: 'icon',
+        'visualIcons?': ['icon'],
+        'image?': { src: 'href', alt: 'string', 'srcset?': 'string', 'sources?': [{ type: 'imageType', srcset: 'string' }], 'lqip?': 'href' },
+        'gallery?': [{ type: 'media', src: 'href', alt: 'string', 'caption?': 'string', 'poster?': 'href' }],
+        'highlights?': [{ icon: 'icon', label: 'string' }],
+        techStack: ['string'],
+        'achievements?': [{ tier: 'tier', icon: 'icon', title: 'string', event: 'string' }],
+        'links?': [{ label: 'string', href: 'href', 'style?': 'buttonStyle' }]
+    },
+    timeline: {
+        id: 'slug',
+        'kind?': 'timelineKind',
+        icon: 'icon',
+        date: 'string',
+        title: 'string',
+        subtitle: 'string',
+        organization: 'string',
+        'details?': [{ label: 'string', value: 'string', 'animate?': 'boolean' }],
+        'skills?': ['string'],
+        'description?': 'string'
+    },
+    skillCategory: {
+        icon: 'icon',
+        title: 'string',
+        items: [{ name: 'string', level: 'percent' }]
+    },
+    skillChart: {
+        label: 'string',
+        percentage: 'percent'
+    }
+};
+
+/**
+ * Error raised for a content section containing invalid entries
+ */
+class ContentValidationError extends Error {
+    constructor(section, errors) {
+        super(`Invalid ${section} content in ${CONFIG.CONTENT_URL}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ContentValidationError';
+        this.section = section;
+        this.errors = errors;
+    }
+}
+
+class ContentValidator {
+    /**
+     * Validate a value against a schema node, returning a list of
+     * human-readable errors prefixed with the path of the offending field
+     */
+    static validate(value, schema, path) {
+        const errors = [];
+        
+        if (Array.isArray(schema)) {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: expected an array`);
+                return errors;
+            }
+            value.forEach((item, index) => {
+                errors.push(...this.validate(item, schema[0], `${path}[${index}]`));
+            });
+            return errors;
+        }
+        
+        if (typeof schema === 'object') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: expected an object`);
+                return errors;
+            }
+            Object.entries(schema).forEach(([key, childSchema]) => {
+                const optional = key.endsWith('?');
+                const name = optional ? key.slice(0, -1) : key;
+                
+                if (value[name] === undefined) {
+                    if (!optional) errors.push(`${path}.${name}: is required`);
+                    return;
+                }
+                errors.push(...this.validate(value[name], childSchema, `${path}.${name}`));
+            });
+            return errors;
+        }
+        
+        const problem = this.checkType(value, schema);
+        if (problem) errors.push(`${path}: ${problem}`);
+        return errors;
+    }
+    
+    static checkType(value, type) {
+        const isText = typeof value === 'string' && value.trim() !== '';
+        
+        switch (type) {
+            case 'string':
+                return isText ? null : 'expected a non-empty string';
+            case 'slug':
+                return isText && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value)
+                    ? null : 'expected a lowercase slug such as "smart-cattle-care"';
+            case 'icon':
+                return isText && /^fa[bsr]? fa-[a-z0-9-]+$/.test(value)
+                    ? null : 'expected a Font Awesome class such as "fas fa-microchip"';
+            case 'href':
+                return isText && !/^\s*javascript:/i.test(value) ? null : 'expected a safe link target';
+            case 'tier':
+                return ['gold', 'silver', 'bronze'].includes(value) ? null : 'expected "gold", "silver" or "bronze"';
+            case 'timelineKind':
+                return TIMELINE_KINDS.includes(value) ? null : `expected one of ${TIMELINE_KINDS.map(kind => `"${kind}"`).join(', ')}`;
+            case 'imageType':
+                return ['image/avif', 'image/webp'].includes(value) ? null : 'expected "image/avif" or "image/webp"';
+            case 'media':
+                return ['image', 'video'].includes(value) ? null : 'expected "image" or "video"';
+            case 'buttonStyle':
+                return ['primary', 'outline'].includes(value) ? null : 'expected "primary" or "outline"';
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'expected true or false';
+            case 'percent':
+                return typeof value === 'number' && value >= 0 && value <= 100
+                    ? null : 'expected a number between 0 and 100';
+            default:
+                return `unknown schema type "${type}"`;
+        }
+    }
+    
+    /**
+     * Split a list of entries into the ones that pass validation and the
+     * errors for those that do not. Duplicate ids are reported as errors.
+     */
+    static partition(entries, schema, path) {
+        const valid = [];
+        const errors = [];
+        const seenIds = new Set();
+        
+        if (!Array.isArray(entries)) {
+            return { valid, errors: [`${path}: expected an array`] };
+        }
+        
+        entries.forEach((entry, index) => {
+            const entryPath = `${path}[${index}]`;
+            const entryErrors = this.validate(entry, schema, entryPath);
+            
+            if (entry && typeof entry.id === 'string') {
+                if (seenIds.has(entry.id)) {
+                    entryErrors.push(`${entryPath}.id: duplicate id "${entry.id}"`);
+                }
+                seenIds.add(entry.id);
+            }
+            
+            if (entryErrors.length) {
+                errors.push(...entryErrors);
+            } else {
+                valid.push(entry);
+            }
+        });
+        
+        return { valid, errors };
+    }
+}
+
+// Rendered width of .project-image, for picking a srcset candidate
+const PROJECT_IMAGE_SIZES = '(max-width: 768px) 300px, 350px';
+
+class ContentRenderer {
+    constructor(url = CONFIG.CONTENT_URL) {
+        this.url = url;
+        this.errors = [];
+        this.containers = {
+            projects: document.querySelector('.projects-showcase'),
+            timeline: document.querySelector('.timeline'),
+            skills: document.querySelector('.skills-main'),
+            charts: document.querySelector('.skills-chart')
+        };
+    }
+    
+    /**
+     * Load the content model and rebuild every data-driven section.
+     * Never rejects: if the content cannot be loaded the static markup stays.
+     */
+    async render() {
+        let content;
+        
+        try {
+            content = await this.load();
+        } catch (error) {
+            console.warn('Portfolio content unavailable, keeping static markup:', error.message);
+            return false;
+        }
+        
+        const skills = content.skills || {};
+        
+        this.renderSection('projects', content.projects, CONTENT_SCHEMA.project,
+            this.containers.projects, (project, index) => this.projectTemplate(project, index));
+        this.renderSection('timeline', content.timeline, CONTENT_SCHEMA.timeline,
+            this.containers.timeline, (item, index) => this.timelineTemplate(item, index));
+        this.renderSection('skills.categories', skills.categories, CONTENT_SCHEMA.skillCategory,
+            this.containers.skills, (category, index) => this.skillCategoryTemplate(category, index));
+        this.renderSection('skills.charts', skills.charts, CONTENT_SCHEMA.skillChart,
+            this.containers.charts, (chart) => this.skillChartTemplate(chart));
+        
+        return this.errors.length === 0;
+    }
+    
+    async load() {
+        const response = await fetch(this.url, { cache: 'no-cache' });
+        
+        if (!response.ok) {
+            throw new Error(`${this.url} responded with ${response.status}`);
+        }
+        
+        const content = await response.json();
+        if (!content || typeof content !== 'object') {
+            throw new ContentValidationError('root', ['expected a JSON object']);
+        }
+        return content;
+    }
+    
+    renderSection(section, entries, schema, container, template) {
+        if (!container) return;
+        
+        const { valid, errors } = ContentValidator.partition(entries, schema, section);
+        
+        if (errors.length) {
+            const error = new ContentValidationError(section, errors);
+            this.errors.push(error);
+            console.error(error.message);
+        }
+        
+        // Never replace working markup with an empty section
+        if (!valid.length) return;
+        
+        container.innerHTML = valid.map(template).join('');
+    }
+    
+    projectTemplate(project, index) {
+        const highlights = (project.highlights || []).map(highlight => `
+            <div class="highlight">
+                <i class="${escapeHTML(highlight.icon)}"></i>
+                <span>${escapeHTML(highlight.label)}</span>
+            </div>`).join('');
+        
+        const techStack = project.techStack
+            .map(tech => `<span class="tech-item">${escapeHTML(tech)}</span>`)
+            .join('');
+        
+        const achievements = (project.achievements || []).map(achievement => `
+            <div class="achievement-item ${achievement.tier}">
+                <i class="${escapeHTML(achievement.icon)}"></i>
+                <div class="achievement-text">
+                    <strong>${escapeHTML(achievement.title)}</strong>
+                    <span>${escapeHTML(achievement.event)}</span>
+                </div>
+            </div>`).join('');
+        
+        const links = (project.links || []).map(link => `
+            <a href="${escapeHTML(link.href)}" class="project-btn btn-${link.style || 'primary'}">${escapeHTML(link.label)}</a>`).join('');
+        
+        const details = this.projectDetailsTemplate(project);
+        
+        const visualIcons = (project.visualIcons || [])
+            .map(icon => `<span class="tech-icon"><i class="${escapeHTML(icon)}"></i></span>`)
+            .join('');
+        
+        return `
+            <div class="project-featured" data-project-id="${project.id}" data-aos="fade-up" data-aos-delay="${(index + 1) * 200}">
+                <div class="project-content-wrapper${index % 2 ? ' reverse' : ''}">
+                    <div class="project-info">
+                        <div class="project-category">${escapeHTML(project.category)}</div>
+                        <h3 class="project-title">${escapeHTML(project.title)}</h3>
+                        <p class="project-description">${escapeHTML(project.description)}</p>
+                        ${highlights ? `<div class="project-highlights">${highlights}</div>` : ''}
+                        <div class="project-tech-stack">${techStack}</div>
+                        ${achievements ? `<div class="project-achievements">${achievements}</div>` : ''}
+                        ${links ? `<div class="project-links">${links}</div>` : ''}
+                        ${details}
+                    </div>
+                    <div class="project-visual">
+                        <div class="project-image">
+                            ${this.projectImageTemplate(project)}
+                            <div class="image-placeholder">
+                                <i class="${escapeHTML(project.icon)}"></i>
+                                ${visualIcons ? `<div class="tech-icons">${visualIcons}</div>` : ''}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>`;
+    }
+    
+    /**
+     * Photo laid over the icon placeholder, which shows again if it fails.
+     * URLs go in data attributes for ImageLoader to fill in once on screen.
+     */
+    projectImageTemplate(project) {
+        const image = project.image;
+        if (!image) return '';
+        
+        const sources = (image.sources || []).map(source => `
+            <source type="${source.type}" data-srcset="${escapeHTML(source.srcset)}" sizes="${PROJECT_IMAGE_SIZES}">`).join('');
+        
+        return `
+            <div class="responsive-image"${image.lqip ? ` data-lqip="${escapeHTML(image.lqip)}"` : ''}>
+                <picture>
+                    ${sources}
+                    <img data-src="${escapeHTML(image.src)}"${image.srcset ? ` data-srcset="${escapeHTML(image.srcset)}" sizes="${PROJECT_IMAGE_SIZES}"` : ''} alt="${escapeHTML(image.alt)}" decoding="async">
+                </picture>
+            </div>`;
+    }
+    
+    /**
+     * Long-form text and gallery media shown by ProjectModal; kept inert in
+     * a <template> so images only load once the details are opened
+     */
+    projectDetailsTemplate(project) {
+        if (!project.overview && !project.gallery) return '';
+        
+        const overview = (project.overview || [])
+            .map(paragraph => `<p>${escapeHTML(paragraph)}</p>`)
+            .join('');
+        
+        const slides = (project.gallery || []).map(item => {
+            const media = item.type === 'video'
+                ? `<video src="${escapeHTML(item.src)}"${item.poster ? ` poster="${escapeHTML(item.poster)}"` : ''} controls preload="none" aria-label="${escapeHTML(item.alt)}"></video>`
+                : `<img src="${escapeHTML(item.src)}" alt="${escapeHTML(item.alt)}" loading="lazy">`;
+            
+            return `
+                <figure class="gallery-slide">
+                    ${media}
+                    ${item.caption ? `<figcaption>${escapeHTML(item.caption)}</figcaption>` : ''}
+                </figure>`;
+        }).join('');
+        
+        return `
+            <template class="project-details">
+                ${overview ? `<div class="project-overview">${overview}</div>` : ''}
+                ${slides}
+            </template>`;
+    }
+    
+    /**
+     * data-counter attributes that make Counter count up to a value such
+     * as "8.0/10.0"; values that do not start with a number stay static
+     */
+    counterAttributes(text) {
+        const counter = Counter.parse(text);
+        if (!counter) return '';
+        
+        return ` data-counter="${counter.value}"` +
+            (counter.prefix ? ` data-counter-prefix="${escapeHTML(counter.prefix)}"` : '') +
+            (counter.suffix ? ` data-counter-suffix="${escapeHTML(counter.suffix)}"` : '') +
+            (counter.decimals ? ` data-counter-decimals="${counter.decimals}"` : '');
+    }
+    
+    timelineTemplate(item, index) {
+        const details = (item.details || []).map(detail => `
+            <div class="detail-item">
+                <span class="detail-label">${escapeHTML(detail.label)}:</span>
+                <span class="detail-value"${detail.animate ? this.counterAttributes(detail.value) : ''}>${escapeHTML(detail.value)}</span>
+            </div>`).join('');
+        
+        const skills = (item.skills || [])
+            .map(skill => `<span class="skill-tag">${escapeHTML(skill)}</span>`)
+            .join('');
+        
+        return `
+            <div class="timeline-item" data-timeline-id="${item.id}"${item.kind ? ` data-timeline-kind="${item.kind}"` : ''} data-aos="fade-up" data-aos-delay="${(index + 1) * 200}">
+                <div class="timeline-marker">
+                    <i class="${escapeHTML(item.icon)}"></i>
+                </div>
+                <div class="timeline-content">
+                    <div class="timeline-date">${escapeHTML(item.date)}</div>
+                    <h3 class="timeline-title">${escapeHTML(item.title)}</h3>
+                    <h4 class="timeline-subtitle">${escapeHTML(item.subtitle)}</h4>
+                    <p class="timeline-company">${escapeHTML(item.organization)}</p>
+                    ${details ? `<div class="timeline-details">${details}</div>` : ''}
+                    ${skills ? `<div class="timeline-skills">${skills}</div>` : ''}
+                    ${item.description ? `<p class="timeline-description">${escapeHTML(item.description)}</p>` : ''}
+                </div>
+            </div>`;
+    }
+    
+    skillCategoryTemplate(category, index) {
+        const items = category.items.map(skill => `
+            <div class="skill-item">
+                <span class="skill-name">${escapeHTML(skill.name)}</span>
+                <div class="skill-bar">
+                    <div class="skill-progress" data-progress="${skill.level}"></div>
+                </div>
+                <span class="skill-percentage">${skill.level}%</span>
+            </div>`).join('');
+        
+        return `
+            <div class="skill-category" data-aos="fade-up" data-aos-delay="${(index + 1) * 200}">
+                <div class="skill-header">
+                    <i class="${escapeHTML(category.icon)}"></i>
+                    <h3>${escapeHTML(category.title)}</h3>
+                </div>
+                <div class="skill-list">${items}</div>
+            </div>`;
+    }
+    
+    skillChartTemplate(chart) {
+        return `
+            <div class="chart-item">
+                <div class="chart-circle" data-percentage="${chart.percentage}">
+                    <span class="chart-number">${chart.percentage}%</span>
+                    <span class="chart-label">${escapeHTML(chart.label)}</span>
+                </div>
+            </div>`;
+    }
+}
+
+// ============================================
+// LOADING SCREEN
+// ============================================
+
+class LoadingScreen {
+    constructor() {
+        this.loadingScreen = document.getElementById('loading-screen');
+        this.loadingProgress = document.querySelector('.loading-progress');
+        this.currentProgress = 0;
+        this.targetProgress = 0;
+        this.isLoading = true;
+        this.startedAt = performance.now();
+        this.readyAt = null;
+        this.timedOut = false;
+        
+        // Start fetching content right away so it is ready when the screen hides
+        this.contentReady = new ContentRenderer().render();
+        
+        // The page could be shown from here on; later time on screen is the screen's own
+        Promise.all([this.contentReady, i18n.ready]).then(() => {
+            this.readyAt = performance.now();
+        });
+        
+        this.init();
+    }
+    
+    init() {
+        // Simulate loading progress
+        this.simulateLoading();
+        
+        // Hide loading screen when everything is loaded
+        window.addEventListener('load', () => {
+            this.targetProgress = 100;
+            setTimeout(() => this.hideLoadingScreen(), 500);
+        });
+        
+        // Fallback: hide loading screen after maximum time
+        setTimeout(() => {
+            if (this.isLoading) {
+                this.timedOut = true;
+                this.hideLoadingScreen();
+            }
+        }, 5000);
+    }
+    
+    simulateLoading() {
+        const stopProgress = scheduler.on('tick', () => {
+            if (this.currentProgress < this.targetProgress) {
+                this.currentProgress += Math.random() * 3;
+                this.loadingProgress.style.width = `${Math.min(this.currentProgress, 100)}%`;
+            }
+            
+            if (this.currentProgress >= 95 || !this.isLoading) {
+                stopProgress();
+            }
+        }, 'LoadingScreen');
+        
+        // Simulate different loading stages
+        setTimeout(() => this.targetProgress = 30, 200);
+        setTimeout(() => this.targetProgress = 60, 800);
+        setTimeout(() => this.targetProgress = 85, 1500);
+    }
+    
+    hideLoadingScreen() {
+        this.isLoading = false;
+        this.currentProgress = 100;
+        this.loadingProgress.style.width = '100%';
+        
+        setTimeout(() => {
+            this.loadingScreen.classList.add('hidden');
+            
+            // Initialize other components after loading is complete
+            setTimeout(() => {
+                this.initializeComponents();
+            }, 500);
+        }, 300);
+    }
+    
+    async initializeComponents() {
+        // Data-driven sections must exist before components query the DOM
+        await Promise.all([this.contentReady, i18n.ready]);
+        this.reportDelay();
+        
+        // Rendered content arrives in English; bring it into the active language
+        i18n.translate();
+        
+        // Initialize AOS animations
+        if (typeof AOS !== 'undefined') {
+            AOS.init({
+                duration: 800,
+                easing: 'ease-out-cubic',
+                once: true,
+                offset: 50,
+                disable: motion.reduced
+            });
+        }
+        
+        // Initialize other components; a failing one is reported and skipped
+        components.initAll('content');
+    }
+    
+    /**
+     * Tell performanceMonitor how long the screen stayed up after the page
+     * was ready: waiting for the load event plus the fixed hide delays
+     */
+    reportDelay() {
+        const now = performance.now();
+        
+        document.dispatchEvent(new CustomEvent('portfolioLoadingComplete', {
+            detail: {
+                duration: now - this.startedAt,
+                delay: now - (this.readyAt ?? now),
+                timedOut: this.timedOut
+            }
+        }));
+    }
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+
+// Item attributes that can be addressed as #<section>/<id>, e.g. #projects/smart-cattle-care
+const DEEP_LINK_ATTRIBUTES = ['data-project-id', 'data-timeline-id'];
+
+/**
+ * Section registry: every <section id> on the page in document order, with
+ * the label its nav link uses (or its heading). Navigation and the command
+ * palette both read it, so a new section only needs markup.
+ */
+function getPageSections() {
+    return [...document.querySelectorAll('section[id]')].map(element => {
+        const link = document.querySelector(`.nav-link[href="#${element.id}"]`);
+        const heading = element.querySelector('.section-title');
+        const label = (link || heading)?.textContent.trim() || element.id;
+        
+        return { id: element.id, element, label };
+    });
+}
+
+// Below this width the menu is off-canvas; keep in step with styles.css
+const MOBILE_NAV_QUERY = '(max-width: 768px)';
+
+/**
+ * Navbar, in-page links and the off-canvas mobile menu. The open menu
+ * traps focus together with its toggle, closes on Escape, a leftward
+ * swipe or an outside click, and locks the page behind it; closing
+ * returns focus to #nav-toggle. Closed off-canvas links are inert.
+ */
+class Navigation extends Component {
+    constructor(spy = null) {
+        super();
+        this.spy = spy;
+        this.navbar = document.querySelector('.navbar');
+        this.navToggle = document.getElementById('nav-toggle');
+        this.navMenu = document.getElementById('nav-menu');
+        this.mobileQuery = window.matchMedia(MOBILE_NAV_QUERY);
+        this.isMenuOpen = false;
+        this.releaseScroll = null;
+        this.activeSection = null;
+        this.isNavigating = false;
+        
+        this.init();
+    }
+    
+    init() {
+        // Scroll positions are restored from the hash instead of by the browser
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        
+        this.bindEvents();
+        this.updateMenuState();
+        
+        // Runs after the loading screen hides, so rendered content can be targeted
+        if (window.location.hash) {
+            this.navigateTo(window.location.hash, { history: 'none' });
+        }
+    }
+    
+    bindEvents() {
+        // Mobile menu toggle
+        this.listen(this.navToggle, 'click', () => this.toggleMobileMenu());
+        
+        // Every in-page link goes through navigateTo so the URL stays in sync
+        this.listen(document, 'click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || link.getAttribute('href') === '#' || e.defaultPrevented) return;
+            if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            if (!this.resolveHash(link.getAttribute('href'))) return;
+            
+            e.preventDefault();
+            this.closeMobileMenu();
+            this.navigateTo(link.getAttribute('href'));
+        });
+        
+        // Back/Forward between sections
+        this.listen(window, 'popstate', () => {
+            this.navigateTo(window.location.hash || '#home', { history: 'none' });
+        });
+        
+        // Handle scroll events
+        this.subscribe('scroll', (state) => this.handleScroll(state));
+        
+        // Keep the URL on the section being read
+        this.listen(document, 'portfolioSectionChange', (e) => {
+            if (!this.isNavigating) this.setActiveSection(e.detail.id, { updateUrl: true });
+        });
+        
+        // Close mobile menu when clicking outside
+        this.listen(document, 'click', (e) => {
+            if (this.isMenuOpen && !this.navbar.contains(e.target)) {
+                this.closeMobileMenu();
+            }
+        });
+        
+        this.listen(document, 'keydown', (e) => {
+            if (!this.isMenuOpen) return;
+            
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeMobileMenu();
+                this.navToggle?.focus({ preventScroll: true });
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+        
+        // Widening past the breakpoint turns the menu back into a plain bar
+        this.listen(document, 'portfolioResize', () => {
+            if (!this.mobileQuery.matches) this.closeMobileMenu();
+            this.updateMenuState();
+        });
+        
+        this.bindSwipe();
+    }
+    
+    bindSwipe() {
+        let startX = null;
+        let startY = null;
+        
+        this.listen(this.navMenu, 'touchstart', (e) => {
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+        }, { passive: true });
+        
+        this.listen(this.navMenu, 'touchend', (e) => {
+            if (startX === null) return;
+            
+            const dx = e.changedTouches[0].clientX - startX;
+            const dy = e.changedTouches[0].clientY - startY;
+            startX = null;
+            
+            // The menu slides in from the left, so swiping left dismisses it
+            if (dx > -SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+            this.closeMobileMenu();
+            this.navToggle?.focus({ preventScroll: true });
+        });
+    }
+    
+    /**
+     * Map a hash such as "#projects" or "#projects/smart-cattle-care" to the
+     * section and optional item it addresses
+     */
+    resolveHash(hash) {
+        let path;
+        try {
+            path = decodeURIComponent(hash.replace(/^#/, ''));
+        } catch (error) {
+            // Malformed escapes such as "%E0%A4" are treated as unknown hashes
+            return null;
+        }
+        
+        const [sectionId, itemId, view] = path.split('/');
+        const section = getPageSections().find(entry => entry.id === sectionId)?.element;
+        if (!section) return null;
+        
+        if (!itemId) return { section, element: section };
+        
+        const escaped = CSS.escape(itemId);
+        const item = section.querySelector(
+            DEEP_LINK_ATTRIBUTES.map(attribute => `[${attribute}="${escaped}"]`).join(', ')
+        );
+        
+        // Unknown items still land on their section
+        return { section, element: item || section, item, view };
+    }
+    
+    /**
+     * Scroll to the section or item addressed by a hash.
+     * history: 'push' adds an entry, 'replace' rewrites the current one and
+     * 'none' leaves the URL alone (popstate, initial load).
+     */
+    async navigateTo(hash, { history: mode = 'push' } = {}) {
+        const target = this.resolveHash(hash);
+        if (!target) return;
+        
+        const url = hash.startsWith('#') ? hash : `#${hash}`;
+        if (mode === 'push' && url !== window.location.hash) {
+            history.pushState({ hash: url }, '', url);
+        } else if (mode === 'replace') {
+            history.replaceState({ hash: url }, '', url);
+        }
+        
+        // Suppress scroll-driven URL updates while passing other sections
+        const navigation = this.navigationId = (this.navigationId || 0) + 1;
+        this.isNavigating = true;
+        this.setActiveSection(target.section.id);
+        this.spy?.lock(target.section.id);
+        await smoothScrollTo(target.element);
+        
+        // A newer navigation took over this scroll
+        if (navigation !== this.navigationId) return;
+        this.isNavigating = false;
+        this.spy?.unlock();
+        
+        // A view such as /details shows the item elsewhere (ProjectModal)
+        if (target.item && !target.view) {
+            this.highlightItem(target.item);
+        }
+    }
+    
+    highlightItem(item) {
+        // Move focus for keyboard and screen reader users without scrolling again
+        if (!item.hasAttribute('tabindex')) {
+            item.setAttribute('tabindex', '-1');
+        }
+        item.focus({ preventScroll: true });
+        
+        item.classList.remove('deep-link-target');
+        void item.offsetWidth; // Restart the highlight animation
+        item.classList.add('deep-link-target');
+        item.addEventListener('animationend', () => item.classList.remove('deep-link-target'), { once: true });
+    }
+    
+    toggleMobileMenu() {
+        if (this.isMenuOpen) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
+        }
+    }
+    
+    openMobileMenu() {
+        if (this.isMenuOpen) return;
+        
+        this.isMenuOpen = true;
+        this.navMenu.classList.add('active');
+        this.updateMenuState();
+        this.releaseScroll = lockBodyScroll();
+        
+        this.navMenu.querySelector(FOCUSABLE_SELECTOR)?.focus({ preventScroll: true });
+    }
+    
+    closeMobileMenu() {
+        if (!this.isMenuOpen) return;
+        
+        // Focus left inside the menu would be lost once it turns inert
+        const focusInMenu = this.navMenu.contains(document.activeElement);
+        
+        this.isMenuOpen = false;
+        this.navMenu.classList.remove('active');
+        this.updateMenuState();
+        this.releaseScroll?.();
+        this.releaseScroll = null;
+        
+        if (focusInMenu) this.navToggle?.focus({ preventScroll: true });
+    }
+    
+    updateMenuState() {
+        this.navToggle?.setAttribute('aria-expanded', String(this.isMenuOpen));
+        this.navMenu?.toggleAttribute('inert', this.mobileQuery.matches && !this.isMenuOpen);
+        this.animateHamburger();
+    }
+    
+    /**
+     * Keep Tab cycling through the toggle and the menu links
+     */
+    trapFocus(e) {
+        const focusable = [this.navToggle, ...this.navMenu.querySelectorAll(FOCUSABLE_SELECTOR)].filter(Boolean);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (!focusable.includes(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    destroy() {
+        this.closeMobileMenu();
+        if (this.isNavigating) this.spy?.unlock();
+        super.destroy();
+        
+        this.navMenu?.removeAttribute('inert');
+    }
+    
+    animateHamburger() {
+        const hamburger = this.navToggle?.querySelector('.hamburger');
+        if (hamburger) {
+            hamburger.style.transform = this.isMenuOpen 
+                ? 'rotate(45deg)' 
+                : 'rotate(0deg)';
+        }
+    }
+    
+    handleScroll({ scrollY } = scheduler.scrollState) {
+        const scrolled = scrollY > CONFIG.SCROLL_THRESHOLD;
+        scheduler.mutate(() => this.navbar.classList.toggle('scrolled', scrolled));
+    }
+    
+    /**
+     * Link highlighting is ScrollSpy's; this tracks the section for the URL
+     */
+    setActiveSection(sectionId, { updateUrl = false } = {}) {
+        if (sectionId === this.activeSection) return;
+        this.activeSection = sectionId;
+        
+        if (!updateUrl) return;
+        
+        // Keep a deep link (#projects/<id>) while its section is still active
+        const currentSection = window.location.hash.replace(/^#/, '').split('/')[0];
+        if (currentSection === sectionId) return;
+        
+        // Scrolling replaces the entry so Back is not flooded with sections
+        const url = sectionId === 'home' && !window.location.hash
+            ? window.location.pathname + window.location.search
+            : `#${sectionId}`;
+        history.replaceState({ hash: `#${sectionId}` }, '', url);
+    }
+}
+
+// ============================================
+// SCROLL SPY
+// ============================================
+
+// Links to a section that are highlighted while it is being read
+const SECTION_LINK_SELECTOR = '.nav-link, .btn-nav-cta, .footer-section a, .section-dot';
+
+/**
+ * Follows which section is being read. An IntersectionObserver keeps the
+ * set of sections on screen, so a scroll frame only measures those. The
+ * active section is the one crossing the reading line
+ * (CONFIG.SCROLL_SPY_OFFSET of the way down the viewport), or the last one
+ * on screen at the bottom of the page. A section's progress runs from 0
+ * when its top reaches the line to 1 when its bottom does.
+ * Links to the active section in the navbar, mobile menu, footer and the
+ * section dots get `.active` and aria-current. Dispatches on document:
+ *   portfolioSectionChange    { id, previous }
+ *   portfolioSectionProgress  { sections: [{ id, progress }], overall } for changed sections
+ *   portfolioSectionViewed    { id, dwell } when the visitor leaves a section after
+ *                             at least CONFIG.SECTION_VIEW_MIN_DWELL ms (hidden-tab time excluded)
+ */
+class ScrollSpy extends Component {
+    constructor() {
+        super();
+        this.sections = getPageSections();
+        this.visible = new Set();
+        this.progress = new Map(this.sections.map(({ id }) => [id, 0]));
+        this.changed = new Map();
+        this.overall = 0;
+        this.activeSection = null;
+        this.lockedSection = null;
+        this.highlighted = null;
+        this.visitStart = null;
+        this.progressBar = null;
+        this.dots = null;
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.sections.length) return;
+        
+        if (CONFIG.ENABLE_READING_PROGRESS) this.createProgressBar();
+        if (CONFIG.ENABLE_SECTION_DOTS) this.createDots();
+        
+        this.observe();
+        this.subscribe('scroll', (state) => this.update(state));
+        
+        // Leaving the page ends the visit to the current section
+        this.listen(window, 'pagehide', () => this.endVisit());
+    }
+    
+    observe() {
+        if (!('IntersectionObserver' in window)) {
+            // Measure every section instead
+            this.sections.forEach(({ id }) => this.visible.add(id));
+            return;
+        }
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(({ target, isIntersecting, boundingClientRect }) => {
+                if (isIntersecting) {
+                    this.visible.add(target.id);
+                    return;
+                }
+                
+                // Sections scrolled past count as read, those below as unread
+                this.visible.delete(target.id);
+                this.setProgress(target.id, boundingClientRect.top < 0 ? 1 : 0);
+            });
+        });
+        
+        this.sections.forEach(({ element }) => observer.observe(element));
+        this.addDisposer(() => observer.disconnect());
+    }
+    
+    update({ scrollY, viewportHeight, documentHeight } = scheduler.scrollState) {
+        const atBottom = scrollY + viewportHeight >= documentHeight - 2;
+        const line = viewportHeight * CONFIG.SCROLL_SPY_OFFSET;
+        const overall = Math.min(Math.max(scrollY / Math.max(documentHeight - viewportHeight, 1), 0), 1);
+        
+        scheduler.measure(() => {
+            let activeId = null;
+            
+            this.sections.forEach(({ id, element }) => {
+                if (!this.visible.has(id)) return;
+                
+                const rect = element.getBoundingClientRect();
+                this.setProgress(id, atBottom ? 1 : (line - rect.top) / Math.max(rect.height, 1));
+                
+                // Short final sections never reach the line, so the bottom of the page selects them
+                if (atBottom || (rect.top <= line && rect.bottom > line)) {
+                    activeId = id;
+                }
+            });
+            
+            scheduler.mutate(() => {
+                if (activeId) this.setActive(activeId);
+                this.render(overall);
+            });
+        });
+    }
+    
+    setProgress(id, value) {
+        const progress = Math.round(Math.min(Math.max(value, 0), 1) * 1000) / 1000;
+        if (this.progress.get(id) === progress) return;
+        
+        this.progress.set(id, progress);
+        this.changed.set(id, progress);
+    }
+    
+    setActive(id) {
+        if (id === this.activeSection) return;
+        
+        const previous = this.activeSection;
+        this.endVisit();
+        this.activeSection = id;
+        this.startVisit();
+        
+        document.dispatchEvent(new CustomEvent('portfolioSectionChange', {
+            detail: { id, previous }
+        }));
+    }
+    
+    render(overall) {
+        const highlight = this.lockedSection || this.activeSection;
+        if (highlight !== this.highlighted) this.highlight(highlight);
+        
+        if (!this.changed.size && overall === this.overall) return;
+        this.overall = overall;
+        
+        if (this.progressBar) {
+            this.progressBar.style.transform = `scaleX(${overall})`;
+        }
+        
+        this.changed.forEach((progress, id) => {
+            this.dots?.querySelector(`[href="#${CSS.escape(id)}"]`)?.style.setProperty('--section-progress', progress);
+        });
+        
+        document.dispatchEvent(new CustomEvent('portfolioSectionProgress', {
+            detail: {
+                sections: [...this.changed].map(([id, progress]) => ({ id, progress })),
+                overall
+            }
+        }));
+        this.changed.clear();
+    }
+    
+    highlight(sectionId) {
+        this.highlighted = sectionId;
+        
+        document.querySelectorAll(SECTION_LINK_SELECTOR).forEach(link => {
+            const href = link.getAttribute('href');
+            if (!href?.startsWith('#')) return;
+            
+            const current = href === `#${sectionId}`;
+            link.classList.toggle('active', current);
+            if (current) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    /**
+     * Keep `sectionId` highlighted while a programmatic scroll passes
+     * other sections; unlock() returns to the section actually in view
+     */
+    lock(sectionId) {
+        this.lockedSection = sectionId;
+        this.highlight(sectionId);
+    }
+    
+    unlock() {
+        this.lockedSection = null;
+        this.update();
+    }
+    
+    startVisit() {
+        this.visitStart = this.paused || !this.activeSection ? null : performance.now();
+    }
+    
+    endVisit() {
+        if (this.visitStart === null) return;
+        
+        const dwell = Math.round(performance.now() - this.visitStart);
+        this.visitStart = null;
+        
+        if (dwell >= CONFIG.SECTION_VIEW_MIN_DWELL) {
+            document.dispatchEvent(new CustomEvent('portfolioSectionViewed', {
+                detail: { id: this.activeSection, dwell }
+            }));
+        }
+    }
+    
+    createProgressBar() {
+        this.progressBar = document.createElement('div');
+        this.progressBar.className = 'reading-progress';
+        this.progressBar.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.progressBar);
+    }
+    
+    createDots() {
+        this.dots = document.createElement('nav');
+        this.dots.className = 'section-dots';
+        this.dots.dataset.i18nAttr = 'aria-label:nav.sections';
+        this.dots.setAttribute('aria-label', i18n.t('nav.sections'));
+        
+        // Labels reuse the nav link's translation key, so i18n keeps them current
+        this.dots.innerHTML = this.sections.map(({ id, label }) => {
+            const key = document.querySelector(`.nav-link[href="#${CSS.escape(id)}"]`)?.dataset.i18n;
+            return `
+                <a href="#${escapeHTML(id)}" class="section-dot" style="--section-progress: 0">
+                    <span class="section-dot-label"${key ? ` data-i18n="${escapeHTML(key)}"` : ''}>${escapeHTML(label)}</span>
+                </a>`;
+        }).join('');
+        
+        document.body.appendChild(this.dots);
+    }
+    
+    pause() {
+        super.pause();
+        this.endVisit();
+    }
+    
+    resume() {
+        super.resume();
+        if (this.visitStart === null) this.startVisit();
+    }
+    
+    destroy() {
+        this.endVisit();
+        super.destroy();
+        
+        this.progressBar?.remove();
+        this.dots?.remove();
+        this.highlight(null);
+    }
+}
+
+// ============================================
+// TYPEWRITER
+// ============================================
+
+const TYPEWRITER_CURSORS = ['bar', 'block', 'underscore', 'none'];
+
+/**
+ * Types and deletes a list of phrases in an element. Options passed in code
+ * override the element's data attributes:
+ *   data-typewriter-phrases      JSON array or "|"-separated list
+ *   data-typewriter-speed        ms per typed character; deleting is twice as fast
+ *   data-typewriter-delay        ms a finished phrase stays on screen
+ *   data-typewriter-start-delay  ms before the first character
+ *   data-typewriter-cursor       'bar' | 'block' | 'underscore' | 'none'
+ *   data-typewriter-loop         "false" stops on the last phrase
+ *   data-typewriter-accessible   "false" leaves the churn exposed to screen readers
+ * Runs only while started, on screen, in a visible tab and with motion
+ * allowed; with reduced motion the current phrase is shown whole.
+ */
+class Typewriter extends Component {
+    constructor(element, options = {}) {
+        super();
+        this.element = element;
+        this.options = { ...this.readDataOptions(), ...options };
+        this.phrases = [];
+        this.phraseIndex = 0;
+        this.length = 0; // Graphemes of the current phrase on screen
+        this.deleting = false;
+        this.finished = false;
+        this.started = false;
+        this.timer = null;
+        this.pauseReasons = new Set();
+        
+        this.init();
+    }
+    
+    /**
+     * Create a typewriter for every `[data-typewriter-phrases]` element in scope
+     */
+    static mountAll(scope = document) {
+        return [...scope.querySelectorAll('[data-typewriter-phrases]')]
+            .filter(element => !element.classList.contains('typewriter'))
+            .map(element => new Typewriter(element));
+    }
+    
+    readDataOptions() {
+        const data = this.element.dataset;
+        const options = {};
+        const number = value => (value !== undefined && !isNaN(Number(value)) ? Number(value) : undefined);
+        
+        if (data.typewriterPhrases) {
+            const source = data.typewriterPhrases.trim();
+            try {
+                options.phrases = source.startsWith('[') ? JSON.parse(source) : source.split('|');
+            } catch (error) {
+                console.warn('Invalid data-typewriter-phrases:', error.message);
+            }
+        }
+        
+        options.speed = number(data.typewriterSpeed);
+        options.delay = number(data.typewriterDelay);
+        options.startDelay = number(data.typewriterStartDelay);
+        options.cursor = data.typewriterCursor;
+        if (data.typewriterLoop) options.loop = data.typewriterLoop !== 'false';
+        if (data.typewriterAccessible) options.accessible = data.typewriterAccessible !== 'false';
+        
+        // Drop unset keys so they do not mask the defaults
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    }
+    
+    init() {
+        const {
+            speed = 100,
+            delay = 2000,
+            startDelay = 1000,
+            cursor = 'bar',
+            loop = true,
+            accessible = true,
+            autoStart = true
+        } = this.options;
+        
+        Object.assign(this, { speed, delay, startDelay, loop, accessible });
+        
+        this.element.classList.add('typewriter');
+        this.element.dataset.typewriterCursor = TYPEWRITER_CURSORS.includes(cursor) ? cursor : 'bar';
+        
+        if (this.accessible) {
+            // Screen readers get the full list once instead of every keystroke
+            this.element.setAttribute('aria-hidden', 'true');
+            this.summary = document.createElement('span');
+            this.summary.className = 'typewriter-summary';
+            this.element.after(this.summary);
+        }
+        
+        this.setPhrases(this.options.phrases || [this.element.textContent.trim()].filter(Boolean));
+        this.watch();
+        
+        if (autoStart) this.start();
+    }
+    
+    watch() {
+        const setReason = (reason, active) => {
+            if (active) {
+                this.pauseReasons.add(reason);
+            } else {
+                this.pauseReasons.delete(reason);
+            }
+            this.update();
+        };
+        
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver(([entry]) => {
+                setReason('offscreen', !entry.isIntersecting);
+            });
+            observer.observe(this.element);
+            this.addDisposer(() => observer.disconnect());
+        }
+        
+        this.subscribe('pause', () => setReason('hidden', true));
+        this.subscribe('resume', () => setReason('hidden', false));
+        this.listen(document, 'portfolioMotionChange', () => setReason('motion', motion.reduced));
+        
+        if (motion.reduced) this.pauseReasons.add('motion');
+    }
+    
+    /**
+     * Replace the phrase list (e.g. after a language switch) and retype
+     * the current position from an empty line. Blank phrases are dropped:
+     * deleting one would never reach the next phrase.
+     */
+    setPhrases(phrases) {
+        this.phrases = phrases.map(String).filter(phrase => phrase.trim());
+        this.phraseIndex = this.phrases.length ? this.phraseIndex % this.phrases.length : 0;
+        this.length = 0;
+        this.deleting = false;
+        this.finished = false;
+        
+        if (this.summary) {
+            this.summary.textContent = typeof Intl.ListFormat === 'function'
+                ? new Intl.ListFormat(i18n.locale, { type: 'conjunction' }).format(this.phrases)
+                : this.phrases.join(', ');
+        }
+        
+        this.clearTimer();
+        this.render();
+        this.update();
+    }
+    
+    start() {
+        this.started = true;
+        this.update();
+    }
+    
+    pause() {
+        super.pause();
+        this.pauseReasons.add('manual');
+        this.update();
+    }
+    
+    resume() {
+        super.resume();
+        this.pauseReasons.delete('manual');
+        this.update();
+    }
+    
+    /**
+     * Stop for good, leaving the current phrase as plain static text
+     */
+    destroy() {
+        this.clearTimer();
+        super.destroy();
+        this.started = false;
+        
+        this.summary?.remove();
+        this.element.removeAttribute('aria-hidden');
+        this.element.classList.remove('typewriter');
+        delete this.element.dataset.typewriterCursor;
+        this.element.textContent = this.phrases[this.phraseIndex] || '';
+    }
+    
+    get running() {
+        return this.started && this.pauseReasons.size === 0;
+    }
+    
+    update() {
+        if (this.pauseReasons.has('motion')) {
+            // Show a complete, static phrase instead of the character churn
+            this.length = this.graphemes(this.phrases[this.phraseIndex]).length;
+            this.deleting = false;
+            this.render();
+        }
+        
+        if (!this.running || this.finished || !this.phrases.length) {
+            this.clearTimer();
+        } else if (this.timer === null) {
+            this.schedule(this.length ? this.speed : this.startDelay);
+        }
+    }
+    
+    schedule(wait) {
+        this.timer = setTimeout(() => this.step(), wait);
+    }
+    
+    clearTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    step() {
+        this.timer = null;
+        
+        const total = this.graphemes(this.phrases[this.phraseIndex]).length;
+        let wait = this.speed;
+        
+        if (this.deleting) {
+            this.length--;
+            wait /= 2;
+        } else {
+            this.length = Math.min(this.length + 1, total);
+        }
+        
+        this.render();
+        
+        if (!this.deleting && this.length === total) {
+            if (!this.loop && this.phraseIndex === this.phrases.length - 1) {
+                this.finished = true;
+                return;
+            }
+            this.deleting = true;
+            wait = this.delay;
+        } else if (this.deleting && this.length === 0) {
+            this.deleting = false;
+            this.phraseIndex = (this.phraseIndex + 1) % this.phrases.length;
+            wait = 500;
+        }
+        
+        this.schedule(wait);
+    }
+    
+    /**
+     * Split into user-perceived characters so Kannada and Devanagari
+     * vowel signs are never typed on their own
+     */
+    graphemes(text = '') {
+        if (typeof Intl.Segmenter === 'function') {
+            return [...new Intl.Segmenter(i18n.locale, { granularity: 'grapheme' }).segment(text)]
+                .map(({ segment }) => segment);
+        }
+        return Array.from(text);
+    }
+    
+    render() {
+        this.element.textContent = this.graphemes(this.phrases[this.phraseIndex]).slice(0, this.length).join('');
+    }
+}
+
+// ============================================
+// COUNTER
+// ============================================
+
+/**
+ * Counts up to a number when it scrolls into view, configured with data
+ * attributes:
+ *   data-counter           target value (required)
+ *   data-counter-from      start value, default 0
+ *   data-counter-prefix    text before the number
+ *   data-counter-suffix    text after the number, e.g. "+" or "/10.0"
+ *   data-counter-decimals  fraction digits, default 0
+ *   data-counter-duration  ms, default 2000
+ *   data-counter-easing    a key of EASINGS, default easeOutCubic
+ *   data-counter-format    'standard' ("25,000") or 'compact' ("1.2k")
+ * Numbers follow the active language. Every entry into the viewport plays
+ * the count once; entries while it is still running are ignored.
+ */
+class Counter extends Component {
+    constructor(element) {
+        super();
+        this.element = element;
+        this.cancel = null;
+        this.inView = false;
+        
+        Counter.instances.set(element, this);
+        this.init();
+    }
+    
+    /**
+     * Create a counter for every `[data-counter]` element in scope that
+     * does not have one yet
+     */
+    static mountAll(scope = document) {
+        return [...scope.querySelectorAll('[data-counter]')]
+            .filter(element => !Counter.instances.has(element))
+            .map(element => new Counter(element));
+    }
+    
+    /**
+     * Split display text such as "8.0/10.0" or "25,000" into counter
+     * settings, or return null when it does not start with a number
+     */
+    static parse(text) {
+        const match = String(text).trim().match(/^([^\d]*?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(.*)$/);
+        if (!match) return null;
+        
+        const [, prefix, whole, fraction = '', suffix] = match;
+        return {
+            value: Number(`${whole.replace(/,/g, '')}.${fraction || 0}`),
+            prefix,
+            suffix,
+            decimals: fraction.length
+        };
+    }
+    
+    init() {
+        const data = this.element.dataset;
+        
+        this.target = Number(data.counter);
+        this.from = Number(data.counterFrom) || 0;
+        this.prefix = data.counterPrefix || '';
+        this.suffix = data.counterSuffix || '';
+        this.decimals = Math.max(0, parseInt(data.counterDecimals, 10) || 0);
+        this.duration = Number(data.counterDuration) || 2000;
+        this.easing = EASINGS[data.counterEasing] || EASINGS.easeOutCubic;
+        this.compact = data.counterFormat === 'compact';
+        
+        if (isNaN(this.target)) {
+            console.warn('Ignoring data-counter without a numeric target:', this.element);
+            return;
+        }
+        
+        // Keep the authored text so other readers (e.g. the résumé) can use it
+        this.element.dataset.value ??= this.element.textContent.trim();
+        
+        this.listen(document, 'portfolioLanguageChange', () => {
+            if (!this.cancel) this.render(this.value);
+        });
+        this.listen(document, 'portfolioMotionChange', () => {
+            // Jump straight to the final number if motion gets reduced mid-count
+            if (motion.reduced) this.finish();
+        });
+        
+        if (!('IntersectionObserver' in window)) {
+            this.render(this.target);
+            return;
+        }
+        
+        // Start from the beginning so the first entry has something to count
+        this.render(motion.reduced ? this.target : this.from);
+        
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting && !this.inView) {
+                this.inView = true;
+                this.play();
+            } else if (!entry.isIntersecting) {
+                this.inView = false;
+            }
+        }, { threshold: 0.5 });
+        
+        observer.observe(this.element);
+        this.addDisposer(() => observer.disconnect());
+    }
+    
+    play() {
+        if (this.cancel) return;
+        
+        if (motion.reduced) {
+            this.render(this.target);
+            return;
+        }
+        
+        const precision = Math.pow(10, this.decimals);
+        
+        this.cancel = scheduler.tween({
+            duration: this.duration,
+            easing: this.easing,
+            onUpdate: (progress) => {
+                // Round down so the final figure only shows once the count ends
+                const value = this.from + (this.target - this.from) * progress;
+                this.render(Math.floor(value * precision) / precision);
+            },
+            onComplete: () => {
+                this.cancel = null;
+                this.render(this.target);
+            }
+        });
+    }
+    
+    finish() {
+        this.cancel?.();
+        this.cancel = null;
+        this.render(this.target);
+    }
+    
+    destroy() {
+        this.finish();
+        super.destroy();
+        Counter.instances.delete(this.element);
+    }
+    
+    format(value) {
+        const options = this.compact
+            ? { notation: 'compact', maximumFractionDigits: Math.max(this.decimals, 1) }
+            : { minimumFractionDigits: this.decimals, maximumFractionDigits: this.decimals };
+        
+        return `${this.prefix}${i18n.formatNumber(value, options)}${this.suffix}`;
+    }
+    
+    render(value) {
+        this.value = value;
+        this.element.textContent = this.format(value);
+    }
+}
+
+Counter.instances = new WeakMap();
+
+// ============================================
+// HERO SECTION
+// ============================================
+
+class HeroSection extends Component {
+    constructor() {
+        super();
+        this.dynamicTitle = document.getElementById('dynamic-title');
+        this.techItems = document.querySelectorAll('.tech-item');
+        this.typewriter = null;
+        
+        if (CONFIG.ENABLE_TYPING_ANIMATION) {
+            this.initTypingAnimation();
+        }
+        
+        this.initTechItemsAnimation();
+    }
+    
+    initTypingAnimation() {
+        if (!this.dynamicTitle) return;
+        
+        this.typewriter = new Typewriter(this.dynamicTitle, {
+            phrases: this.titles,
+            speed: CONFIG.TYPING_SPEED,
+            delay: CONFIG.TYPING_DELAY
+        });
+        
+        this.listen(document, 'portfolioLanguageChange', () => {
+            this.typewriter.setPhrases(this.titles);
+        });
+    }
+    
+    get titles() {
+        const titles = i18n.get('hero.titles');
+        return Array.isArray(titles) && titles.length ? titles : DYNAMIC_TITLES;
+    }
+    
+    initTechItemsAnimation() {
+        this.techItems.forEach((item, index) => {
+            item.style.animationDelay = `${index * 0.2}s`;
+            
+            this.listen(item, 'mouseenter', () => {
+                if (motion.reduced) return;
+                item.style.transform = 'translateY(-10px) scale(1.1) rotateY(10deg)';
+            });
+            
+            this.listen(item, 'mouseleave', () => {
+                item.style.transform = 'translateY(0) scale(1) rotateY(0deg)';
+            });
+        });
+    }
+    
+    pause() {
+        super.pause();
+        this.typewriter?.pause();
+    }
+    
+    resume() {
+        super.resume();
+        this.typewriter?.resume();
+    }
+    
+    destroy() {
+        this.typewriter?.destroy();
+        super.destroy();
+    }
+}
+
+// ============================================
+// PARTICLE SYSTEM
+// ============================================
+
+/**
+ * Draws the particle field on the main thread, either onto a <canvas> or,
+ * where canvas is unavailable, by moving one <div> per particle
+ */
+class MainThreadParticleRenderer {
+    constructor(container, field, color) {
+        this.container = container;
+        this.field = field;
+        this.color = color;
+        this.unsubscribe = null;
+    }
+    
+    start() {
+        if (this.unsubscribe) return;
+        
+        this.unsubscribe = scheduler.on('tick', () => {
+            this.field.step();
+            this.draw();
+        }, 'ParticleSystem');
+    }
+    
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+    
+    resize(width, height) {
+        this.field.resize(width, height);
+    }
+    
+    setMouse(x, y) {
+        this.field.setMouse(x, y);
+    }
+    
+    setColor(color) {
+        this.color = color;
+        if (!this.unsubscribe) this.draw();
+    }
+}
+
+class CanvasParticleRenderer extends MainThreadParticleRenderer {
+    constructor(container, field, color) {
+        super(container, field, color);
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'particles-canvas';
+        this.ctx = this.canvas.getContext('2d');
+        this.container.appendChild(this.canvas);
+        this.resize(field.width, field.height);
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        
+        // Resizing clears the canvas; redraw so a stopped field stays visible
+        this.draw();
+    }
+    
+    draw() {
+        this.field.draw(this.ctx, this.color);
+    }
+    
+    destroy() {
+        this.stop();
+        this.canvas.remove();
+    }
+}
+
+class DomParticleRenderer extends MainThreadParticleRenderer {
+    constructor(container, field, color) {
+        super(container, field, color);
+        
+        this.elements = field.particles.map(particle => {
+            const element = document.createElement('div');
+            element.className = 'particle';
+            element.style.cssText = `
+                position: absolute;
+                width: ${particle.size}px;
+                height: ${particle.size}px;
+                background: var(--particle-color);
+                border-radius: 50%;
+                opacity: ${particle.opacity};
+                pointer-events: none;
+            `;
+            this.container.appendChild(element);
+            return element;
+        });
+        this.draw();
+    }
+    
+    draw() {
+        this.field.particles.forEach((particle, index) => {
+            this.elements[index].style.transform = `translate(${particle.x}px, ${particle.y}px)`;
+        });
+    }
+    
+    destroy() {
+        this.stop();
+        this.elements.forEach(element => element.remove());
+    }
+}
+
+/**
+ * Runs the simulation and drawing inside particle-worker.js on an
+ * OffscreenCanvas, keeping the main thread free for scrolling
+ */
+class WorkerParticleRenderer {
+    constructor(container, options, color, onError) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'particles-canvas';
+        container.appendChild(this.canvas);
+        
+        const offscreen = this.canvas.transferControlToOffscreen();
+        this.worker = new Worker('particle-worker.js');
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            onError(e);
+        });
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            options,
+            color,
+            pixelRatio: window.devicePixelRatio || 1
+        }, [offscreen]);
+    }
+    
+    start() {
+        this.worker.postMessage({ type: 'start' });
+    }
+    
+    stop() {
+        this.worker.postMessage({ type: 'stop' });
+    }
+    
+    resize(width, height) {
+        this.worker.postMessage({ type: 'resize', width, height, pixelRatio: window.devicePixelRatio || 1 });
+    }
+    
+    setMouse(x, y) {
+        this.worker.postMessage({ type: 'mouse', x, y });
+    }
+    
+    setColor(color) {
+        this.worker.postMessage({ type: 'color', color });
+    }
+    
+    destroy() {
+        this.worker.postMessage({ type: 'destroy' });
+        this.canvas.remove();
+    }
+}
+
+class ParticleSystem extends Component {
+    constructor() {
+        super();
+        this.container = document.getElementById('particles');
+        if (!this.container) return;
+        
+        this.hero = this.container.closest('.hero') || this.container;
+        this.width = this.container.offsetWidth;
+        this.height = this.container.offsetHeight;
+        this.renderer = this.createRenderer(CONFIG.PARTICLE_RENDERER);
+        this.init();
+    }
+    
+    init() {
+        this.bindEvents();
+        this.animate();
+    }
+    
+    get options() {
+        return {
+            count: CONFIG.PARTICLE_COUNT,
+            width: this.width,
+            height: this.height,
+            connectionDistance: CONFIG.PARTICLE_CONNECTION_DISTANCE
+        };
+    }
+    
+    /**
+     * Pick the best available renderer: worker + OffscreenCanvas, then
+     * main-thread canvas, then the DOM fallback
+     */
+    createRenderer(mode = 'auto') {
+        const color = getThemeColor('--particle-color');
+        const probe = document.createElement('canvas');
+        const supportsWorker = typeof Worker !== 'undefined' && 'transferControlToOffscreen' in probe;
+        const supportsCanvas = !!(probe.getContext && probe.getContext('2d'));
+        
+        if ((mode === 'auto' || mode === 'worker') && supportsWorker) {
+            try {
+                return new WorkerParticleRenderer(this.container, this.options, color, (error) => {
+                    console.warn('Particle worker failed, rendering on the main thread:', error.message);
+                    this.replaceRenderer('canvas');
+                });
+            } catch (error) {
+                console.warn('Particle worker unavailable:', error.message);
+            }
+        }
+        
+        if (mode !== 'dom' && supportsCanvas) {
+            return new CanvasParticleRenderer(this.container, new ParticleField(this.options), color);
+        }
+        
+        return new DomParticleRenderer(this.container, new ParticleField(this.options), color);
+    }
+    
+    replaceRenderer(mode) {
+        this.renderer.destroy();
+        this.renderer = this.createRenderer(mode);
+        this.animate();
+    }
+    
+    bindEvents() {
+        // The particle layer ignores pointer events, so track the mouse on the hero
+        this.listen(this.hero, 'mousemove', (e) => {
+            const rect = this.container.getBoundingClientRect();
+            this.renderer.setMouse(e.clientX - rect.left, e.clientY - rect.top);
+        });
+        
+        this.listen(this.hero, 'mouseleave', () => {
+            this.renderer.setMouse(-Infinity, -Infinity);
+        });
+        
+        this.listen(document, 'portfolioResize', () => {
+            this.width = this.container.offsetWidth;
+            this.height = this.container.offsetHeight;
+            this.renderer.resize(this.width, this.height);
+        });
+        
+        this.listen(document, 'portfolioThemeChange', () => {
+            this.renderer.setColor(getThemeColor('--particle-color'));
+        });
+        
+        // The worker has its own loop, so follow the global pause explicitly
+        this.subscribe('pause', () => this.renderer.stop());
+        this.subscribe('resume', () => this.animate());
+        
+        // Particles freeze in place while reduced motion is requested
+        this.listen(document, 'portfolioMotionChange', () => {
+            if (motion.reduced) {
+                this.stop();
+            } else {
+                this.animate();
+            }
+        });
+    }
+    
+    animate() {
+        if (motion.reduced || this.paused || scheduler.paused) return;
+        this.renderer.start();
+    }
+    
+    stop() {
+        this.renderer?.stop();
+    }
+    
+    pause() {
+        super.pause();
+        this.stop();
+    }
+    
+    resume() {
+        super.resume();
+        if (this.renderer) this.animate();
+    }
+    
+    destroy() {
+        super.destroy();
+        this.renderer?.destroy();
+        this.renderer = null;
+    }
+}
+
+// ============================================
+// SKILLS SECTION
+// ============================================
+
+// Stagger between consecutive items, matching the bar and ring animations
+const SKILL_BAR_STAGGER = 200;
+const SKILL_CHART_STAGGER = 300;
+
+// Colours cycle through this many chart-series-N classes in styles.css
+const SKILL_SERIES_COUNT = 4;
+
+const SKILL_VIEWS = ['bar', 'ring', 'radar'];
+
+class SkillsSection extends Component {
+    constructor() {
+        super();
+        this.skillBars = document.querySelectorAll('.skill-progress');
+        this.chartCircles = document.querySelectorAll('.chart-circle');
+        this.visual = document.querySelector('.skills-visual');
+        this.animated = false;
+        this.view = 'ring';
+        this.hiddenSeries = new Set();
+        this.cancelChart = [];
+        this.cancelRings = [];
+        
+        this.init();
+    }
+    
+    init() {
+        this.initVisualisations();
+        
+        const unsubscribe = this.subscribe('scroll', () => {
+            if (!this.animated && this.isSkillsSectionVisible()) {
+                this.animated = true;
+                unsubscribe();
+                scheduler.mutate(() => {
+                    this.animateSkills();
+                    this.animateCharts();
+                    this.animateSvgChart();
+                });
+            }
+        });
+    }
+    
+    isSkillsSectionVisible() {
+        const skillsSection = document.getElementById('skills');
+        return skillsSection && isElementInViewport(skillsSection, 0.3);
+    }
+    
+    /**
+     * Run `callback` for each item, `delay` ms apart unless motion is reduced
+     */
+    stagger(items, delay, callback) {
+        return [...items].map((item, index) => {
+            const timer = this.setTimeout(() => callback(item, index), motion.reduced ? 0 : index * delay);
+            return () => this.clearTimeout(timer);
+        });
+    }
+    
+    animateSkills() {
+        if (motion.reduced) {
+            this.skillBars.forEach(bar => {
+                bar.style.width = `${bar.getAttribute('data-progress')}%`;
+            });
+            return;
+        }
+        
+        this.stagger(this.skillBars, SKILL_BAR_STAGGER, bar => {
+            bar.style.width = `${bar.getAttribute('data-progress')}%`;
+            
+            // Add shimmer effect
+            bar.classList.add('animating');
+            this.setTimeout(() => {
+                bar.classList.remove('animating');
+            }, 2000);
+        });
+    }
+    
+    animateCharts() {
+        this.cancelRings.forEach(cancel => cancel());
+        
+        this.cancelRings = this.stagger(this.chartCircles, SKILL_CHART_STAGGER, circle => {
+            // Create animated conic gradient
+            const targetPercentage = parseInt(circle.getAttribute('data-percentage'));
+            
+            this.cancelRings.push(scheduler.tween({
+                duration: motion.reduced ? 0 : 2000,
+                easing: EASINGS.easeOutCubic,
+                onUpdate: (progress) => {
+                    const angle = (targetPercentage * progress / 100) * 360;
+                    circle.style.background = `conic-gradient(
+                        var(--chart-start) 0deg,
+                        var(--chart-end) ${angle}deg,
+                        var(--chart-track) ${angle}deg,
+                        var(--chart-track) 360deg
+                    )`;
+                }
+            }));
+        });
+    }
+    
+    /**
+     * Skill levels by category, read from the rendered skill list so the
+     * charts always match it
+     */
+    collectData() {
+        return [...document.querySelectorAll('.skills-main .skill-category')].map((category, index) => ({
+            title: category.querySelector('.skill-header h3')?.textContent.trim() || '',
+            series: index % SKILL_SERIES_COUNT,
+            skills: [...category.querySelectorAll('.skill-item')].map(item => ({
+                name: item.querySelector('.skill-name')?.textContent.trim() || '',
+                level: Number(item.querySelector('.skill-progress')?.dataset.progress) || 0
+            }))
+        })).filter(category => category.skills.length);
+    }
+    
+    initVisualisations() {
+        this.data = this.collectData();
+        if (!this.visual || !this.data.length) return;
+        
+        const viewLabels = { bar: 'skills.viewBar', ring: 'skills.viewRing', radar: 'skills.viewRadar' };
+        
+        this.visual.insertAdjacentHTML('afterbegin', `
+            <div class="skills-view-toggle" role="group" aria-label="${escapeHTML(i18n.t('skills.chartType'))}" data-i18n-attr="aria-label:skills.chartType">
+                ${SKILL_VIEWS.map(view => `
+                    <button type="button" data-skills-view="${view}" aria-pressed="${view === this.view}" data-i18n="${viewLabels[view]}">${escapeHTML(i18n.t(viewLabels[view]))}</button>`).join('')}
+            </div>`);
+        
+        this.visual.insertAdjacentHTML('beforeend', `
+            <div class="skills-svg-chart" hidden></div>
+            <ul class="chart-legend" hidden>
+                ${this.data.map((category, index) => `
+                    <li>
+                        <button type="button" class="chart-series-${category.series}" data-series-index="${index}" aria-pressed="true">
+                            <span class="chart-swatch" aria-hidden="true"></span>${escapeHTML(category.title)}
+                        </button>
+                    </li>`).join('')}
+            </ul>
+            <div class="chart-tooltip" aria-hidden="true" hidden></div>
+            ${this.dataTableTemplate()}`);
+        
+        this.svgChart = this.visual.querySelector('.skills-svg-chart');
+        this.legend = this.visual.querySelector('.chart-legend');
+        this.tooltip = this.visual.querySelector('.chart-tooltip');
+        
+        this.listen(this.visual.querySelector('.skills-view-toggle'), 'click', (e) => {
+            const button = e.target.closest('[data-skills-view]');
+            if (button) this.showView(button.dataset.skillsView);
+        });
+        
+        this.listen(this.legend, 'click', (e) => {
+            const button = e.target.closest('[data-series-index]');
+            if (button) this.toggleSeries(Number(button.dataset.seriesIndex), button);
+        });
+        
+        // Tooltips for chart marks on hover and keyboard focus
+        const showTooltip = (e) => {
+            const mark = e.target.closest?.('[data-tooltip]');
+            if (mark) this.showTooltip(mark);
+        };
+        const hideTooltip = (e) => {
+            if (e.target.closest?.('[data-tooltip]')) this.tooltip.hidden = true;
+        };
+        this.listen(this.svgChart, 'pointerover', showTooltip);
+        this.listen(this.svgChart, 'focusin', showTooltip);
+        this.listen(this.svgChart, 'pointerout', hideTooltip);
+        this.listen(this.svgChart, 'focusout', hideTooltip);
+        
+        this.listen(document, 'portfolioLanguageChange', () => {
+            if (this.view !== 'ring') this.renderSvgChart();
+        });
+    }
+    
+    /**
+     * Stop running animations and remove the controls and charts added by
+     * initVisualisations, leaving the ring chart as rendered
+     */
+    destroy() {
+        [...this.cancelRings, ...this.cancelChart].forEach(cancel => cancel());
+        super.destroy();
+        
+        if (!this.visual) return;
+        this.visual.querySelectorAll('.skills-view-toggle, .skills-svg-chart, .chart-legend, .chart-tooltip, .skills-data-table')
+            .forEach(element => element.remove());
+        
+        const ringChart = this.visual.querySelector('.skills-chart');
+        if (ringChart) ringChart.hidden = false;
+    }
+    
+    showView(view) {
+        if (!SKILL_VIEWS.includes(view) || view === this.view) return;
+        this.view = view;
+        
+        this.visual.querySelectorAll('[data-skills-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.skillsView === view));
+        });
+        
+        const isSvg = view !== 'ring';
+        this.visual.querySelector('.skills-chart').hidden = isSvg;
+        this.svgChart.hidden = !isSvg;
+        this.legend.hidden = !isSvg;
+        this.tooltip.hidden = true;
+        
+        if (isSvg) {
+            this.renderSvgChart();
+            if (this.animated) this.animateSvgChart();
+        } else if (this.animated) {
+            this.animateCharts();
+        }
+    }
+    
+    toggleSeries(index, button) {
+        // Keep at least one category on the chart
+        if (!this.hiddenSeries.has(index) && this.hiddenSeries.size === this.data.length - 1) return;
+        
+        if (this.hiddenSeries.has(index)) {
+            this.hiddenSeries.delete(index);
+        } else {
+            this.hiddenSeries.add(index);
+        }
+        
+        button.setAttribute('aria-pressed', String(!this.hiddenSeries.has(index)));
+        this.renderSvgChart();
+    }
+    
+    get visibleData() {
+        return this.data.filter((category, index) => !this.hiddenSeries.has(index));
+    }
+    
+    formatLevel(level) {
+        return i18n.formatNumber(level / 100, { style: 'percent' });
+    }
+    
+    renderSvgChart() {
+        this.cancelChart.forEach(cancel => cancel());
+        this.cancelChart = [];
+        
+        if (this.view === 'bar') {
+            this.svgChart.innerHTML = this.barChartTemplate(this.visibleData);
+        } else if (this.view === 'radar') {
+            this.svgChart.innerHTML = this.radarChartTemplate(this.visibleData);
+        }
+    }
+    
+    /**
+     * Grouped columns: one group per category, one bar per skill
+     */
+    barChartTemplate(data) {
+        const width = 320;
+        const height = 240;
+        const plot = { left: 32, right: 8, top: 12, bottom: 40 };
+        const plotHeight = height - plot.top - plot.bottom;
+        const groupWidth = (width - plot.left - plot.right) / data.length;
+        const y = level => plot.top + plotHeight * (1 - level / 100);
+        
+        const grid = [0, 25, 50, 75, 100].map(level => `
+            <line class="chart-grid" x1="${plot.left}" x2="${width - plot.right}" y1="${y(level)}" y2="${y(level)}"></line>
+            <text class="chart-axis-label" x="${plot.left - 6}" y="${y(level) + 3}" text-anchor="end">${i18n.formatNumber(level)}</text>`).join('');
+        
+        const groups = data.map((category, groupIndex) => {
+            const barWidth = (groupWidth - 16) / category.skills.length;
+            const groupX = plot.left + groupIndex * groupWidth + 8;
+            
+            const bars = category.skills.map((skill, index) => `
+                <rect class="chart-bar" x="${(groupX + index * barWidth + 1).toFixed(1)}" y="${y(skill.level)}"
+                      width="${Math.max(barWidth - 2, 1).toFixed(1)}" height="${(plotHeight * skill.level / 100).toFixed(1)}"
+                      data-level="${skill.level}" data-baseline="${y(0)}"
+                      tabindex="0" role="img" aria-label="${escapeHTML(`${skill.name}: ${this.formatLevel(skill.level)}`)}"
+                      data-tooltip="${escapeHTML(`${skill.name} · ${this.formatLevel(skill.level)}`)}"></rect>`).join('');
+            
+            return `
+                <g class="chart-series-${category.series}" data-chart-group="${groupIndex}">
+                    ${bars}
+                    <text class="chart-category-label" x="${groupX + (groupWidth - 16) / 2}" y="${height - plot.bottom + 16}" text-anchor="middle">${escapeHTML(category.title)}</text>
+                </g>`;
+        }).join('');
+        
+        return `
+            <svg class="skills-bar-chart" viewBox="0 0 ${width} ${height}" role="group" aria-label="${escapeHTML(i18n.t('skills.barChart'))}">
+                ${grid}
+                ${groups}
+            </svg>`;
+    }
+    
+    /**
+     * Spider chart with one axis per skill; vertices take their category colour
+     */
+    radarChartTemplate(data) {
+        const size = 320;
+        const center = size / 2;
+        const radius = 100;
+        const skills = data.flatMap(category => category.skills.map(skill => ({ ...skill, series: category.series })));
+        const angle = index => (Math.PI * 2 * index) / skills.length - Math.PI / 2;
+        const point = (index, level) => [
+            center + Math.cos(angle(index)) * radius * level / 100,
+            center + Math.sin(angle(index)) * radius * level / 100
+        ].map(value => value.toFixed(1));
+        
+        const rings = [25, 50, 75, 100].map(level => `
+            <polygon class="chart-grid" points="${skills.map((skill, index) => point(index, level).join(',')).join(' ')}"></polygon>`).join('');
+        
+        const axes = skills.map((skill, index) => {
+            const [x, y] = point(index, 100);
+            const [labelX, labelY] = point(index, 114);
+            const cos = Math.cos(angle(index));
+            const anchor = Math.abs(cos) < 0.2 ? 'middle' : cos > 0 ? 'start' : 'end';
+            
+            // Two lines for long names so labels stay close to the chart
+            const words = skill.name.split(' ');
+            const lines = skill.name.length > 10 && words.length > 1
+                ? [words.slice(0, Math.ceil(words.length / 2)).join(' '), words.slice(Math.ceil(words.length / 2)).join(' ')]
+                : [skill.name];
+            
+            return `
+                <line class="chart-axis" x1="${center}" y1="${center}" x2="${x}" y2="${y}"></line>
+                <text class="chart-axis-label" x="${labelX}" y="${labelY}" text-anchor="${anchor}" dominant-baseline="middle">
+                    ${lines.map((line, lineIndex) => `<tspan x="${labelX}" dy="${lineIndex ? '1.1em' : lines.length > 1 ? '-0.55em' : 0}">${escapeHTML(line)}</tspan>`).join('')}
+                </text>`;
+        }).join('');
+        
+        const vertices = skills.map((skill, index) => {
+            const [x, y] = point(index, skill.level);
+            return `
+                <circle class="chart-point chart-series-${skill.series}" cx="${x}" cy="${y}" r="4"
+                        tabindex="0" role="img" aria-label="${escapeHTML(`${skill.name}: ${this.formatLevel(skill.level)}`)}"
+                        data-tooltip="${escapeHTML(`${skill.name} · ${this.formatLevel(skill.level)}`)}"></circle>`;
+        }).join('');
+        
+        return `
+            <svg class="skills-radar-chart" viewBox="0 0 ${size} ${size}" role="group" aria-label="${escapeHTML(i18n.t('skills.radarChart'))}">
+                ${rings}
+                ${axes}
+                <g class="chart-radar-shape" style="transform-origin: ${center}px ${center}px">
+                    <polygon class="chart-area" points="${skills.map((skill, index) => point(index, skill.level).join(',')).join(' ')}"></polygon>
+                    ${vertices}
+                </g>
+            </svg>`;
+    }
+    
+    /**
+     * Grow the visible SVG chart from zero with the same easing and
+     * stagger as the rings
+     */
+    animateSvgChart() {
+        const duration = motion.reduced ? 0 : 2000;
+        
+        if (this.view === 'bar') {
+            const groups = this.svgChart.querySelectorAll('[data-chart-group]');
+            groups.forEach(group => group.querySelectorAll('.chart-bar').forEach(bar => bar.setAttribute('height', 0)));
+            
+            this.cancelChart = this.stagger(groups, SKILL_CHART_STAGGER, group => {
+                const bars = [...group.querySelectorAll('.chart-bar')];
+                const heights = bars.map(bar => Number(bar.dataset.baseline) - Number(bar.getAttribute('y')));
+                
+                this.cancelChart.push(scheduler.tween({
+                    duration,
+                    easing: EASINGS.easeOutCubic,
+                    onUpdate: (progress) => bars.forEach((bar, index) => {
+                        const height = heights[index] * progress;
+                        bar.setAttribute('height', height.toFixed(1));
+                        bar.setAttribute('y', (Number(bar.dataset.baseline) - height).toFixed(1));
+                    })
+                }));
+            });
+        } else if (this.view === 'radar') {
+            const shape = this.svgChart.querySelector('.chart-radar-shape');
+            if (!shape) return;
+            
+            this.cancelChart = [scheduler.tween({
+                duration,
+                easing: EASINGS.easeOutCubic,
+                onUpdate: (progress) => {
+                    shape.style.transform = `scale(${progress})`;
+                }
+            })];
+        }
+    }
+    
+    showTooltip(mark) {
+        const box = mark.getBoundingClientRect();
+        const container = this.visual.getBoundingClientRect();
+        
+        this.tooltip.textContent = mark.dataset.tooltip;
+        this.tooltip.hidden = false;
+        this.tooltip.style.left = `${box.left + box.width / 2 - container.left}px`;
+        this.tooltip.style.top = `${box.top - container.top}px`;
+    }
+    
+    /**
+     * The same numbers as a table, for screen readers and when SVG fails
+     */
+    dataTableTemplate() {
+        const rows = this.data.flatMap(category => category.skills.map(skill => `
+            <tr>
+                <td>${escapeHTML(category.title)}</td>
+                <th scope="row">${escapeHTML(skill.name)}</th>
+                <td>${skill.level}%</td>
+            </tr>`)).join('');
+        
+        return `
+            <table class="skills-data-table">
+                <caption data-i18n="skills.tableCaption">${escapeHTML(i18n.t('skills.tableCaption'))}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col" data-i18n="skills.category">${escapeHTML(i18n.t('skills.category'))}</th>
+                        <th scope="col" data-i18n="skills.skill">${escapeHTML(i18n.t('skills.skill'))}</th>
+                        <th scope="col" data-i18n="skills.level">${escapeHTML(i18n.t('skills.level'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+}
+
+// ============================================
+// RESPONSIVE IMAGES
+// ============================================
+
+// Images still to load: lazy ones, and any copied before their cross-fade finished
+const LAZY_IMAGE_SELECTOR = 'img[data-src], img[data-srcset], .responsive-image:not(.is-loaded):not(.is-failed) img:not(.image-lqip)';
+
+/**
+ * Lazy loader for images whose URLs sit in data-src / data-srcset, on the
+ * <img> and on the <source> elements of an enclosing <picture>, so the
+ * browser still picks the format (AVIF, WebP, JPEG) and width from `sizes`.
+ * Markup that must work without JavaScript keeps a real src with
+ * loading="lazy" instead; the loader then only manages the preview.
+ * Inside a `.responsive-image` wrapper with data-lqip, a blurred preview is
+ * shown until the full image has been decoded and then fades out. An image
+ * that fails to load is replaced by the `.image-placeholder` next to the
+ * wrapper, or by one built from the wrapper's data-fallback-icon.
+ */
+class ImageLoader extends Component {
+    constructor() {
+        super();
+        this.observer = null;
+        this.init();
+    }
+    
+    init() {
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(({ target, isIntersecting }) => {
+                    if (!isIntersecting) return;
+                    this.observer.unobserve(target);
+                    this.load(target);
+                });
+            }, { rootMargin: CONFIG.IMAGE_LOAD_MARGIN });
+            
+            this.addDisposer(() => this.observer.disconnect());
+        }
+        
+        this.observe(document);
+    }
+    
+    /**
+     * Pick up the images under `root`, e.g. a card copied into the project
+     * details gallery
+     */
+    observe(root) {
+        const images = [...root.querySelectorAll(LAZY_IMAGE_SELECTOR)];
+        if (root.matches?.(LAZY_IMAGE_SELECTOR)) images.push(root);
+        
+        images.forEach(img => {
+            this.showPreview(img);
+            
+            if (this.observer) {
+                this.observer.observe(img);
+            } else {
+                this.load(img);
+            }
+        });
+    }
+    
+    showPreview(img) {
+        const wrapper = img.closest('.responsive-image');
+        if (!wrapper) return;
+        
+        // Already on screen before the loader started: no preview to fade from
+        if (img.complete && img.naturalWidth && !img.dataset.src && !img.dataset.srcset) {
+            wrapper.classList.add('is-loaded');
+            return;
+        }
+        
+        wrapper.classList.add('is-loading');
+        if (!wrapper.dataset.lqip || wrapper.querySelector('.image-lqip')) return;
+        
+        const preview = document.createElement('img');
+        preview.className = 'image-lqip';
+        preview.src = wrapper.dataset.lqip;
+        preview.alt = '';
+        preview.setAttribute('aria-hidden', 'true');
+        wrapper.prepend(preview);
+    }
+    
+    async load(img) {
+        const wrapper = img.closest('.responsive-image');
+        
+        // Sources first, so the <img> does not start fetching its own fallback
+        if (img.parentElement?.tagName === 'PICTURE') {
+            img.parentElement.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                delete source.dataset.srcset;
+            });
+        }
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            delete img.dataset.srcset;
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            delete img.dataset.src;
+        }
+        
+        try {
+            // Swapping before decode would flash a half-painted image
+            await this.decode(img);
+            wrapper?.classList.replace('is-loading', 'is-loaded');
+        } catch (error) {
+            console.warn(`Image failed to load: ${img.currentSrc || img.src}`);
+            this.showFallback(img, wrapper);
+        }
+    }
+    
+    decode(img) {
+        if (img.decode) return img.decode();
+        
+        if (img.complete) {
+            return img.naturalWidth ? Promise.resolve() : Promise.reject(new Error('Image failed'));
+        }
+        return new Promise((resolve, reject) => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', reject, { once: true });
+        });
+    }
+    
+    showFallback(img, wrapper) {
+        const target = wrapper || img;
+        target.classList.remove('is-loading');
+        target.classList.add('is-failed');
+        target.hidden = true;
+        
+        // Project cards keep their icon placeholder underneath the image
+        if (target.parentElement?.querySelector(':scope > .image-placeholder')) return;
+        
+        const placeholder = document.createElement('div');
+        placeholder.className = 'image-placeholder image-fallback';
+        placeholder.setAttribute('role', 'img');
+        placeholder.setAttribute('aria-label', img.alt);
+        placeholder.innerHTML = `<i class="${escapeHTML(wrapper?.dataset.fallbackIcon || 'fas fa-image')}" aria-hidden="true"></i>`;
+        target.after(placeholder);
+    }
+    
+    destroy() {
+        super.destroy();
+        document.querySelectorAll('.image-lqip, .image-fallback').forEach(element => element.remove());
+        document.querySelectorAll('.responsive-image, img.is-failed').forEach(element => {
+            element.classList.remove('is-loading', 'is-loaded', 'is-failed');
+            element.hidden = false;
+        });
+    }
+}
+
+// ============================================
+// PROJECT DETAILS
+// ============================================
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])';
+
+// Minimum horizontal travel (px) for a gallery swipe
+const SWIPE_THRESHOLD = 50;
+
+// English text for the details dialog, used when no catalogue could be loaded
+const PROJECT_MODAL_MESSAGES = {
+    close: 'Close project details',
+    gallery: 'Project gallery',
+    carousel: 'carousel',
+    slide: 'slide',
+    previous: 'Previous slide',
+    next: 'Next slide',
+    highlights: 'Highlights',
+    techStack: 'Tech Stack',
+    achievements: 'Achievements',
+    slidePosition: '{index} of {count}',
+    showSlide: 'Show slide {index} of {title}',
+    slideChanged: 'Slide {index} of {count}'
+};
+
+/**
+ * Overlay with the full story of a project, opened from its placeholder
+ * "View Details" / "Live Demo" buttons. Everything shown is read from the
+ * project card itself, so it works for rendered and static markup alike;
+ * long-form text and gallery media come from the card's
+ * <template class="project-details">. The open project is kept in the URL
+ * as #projects/<id>/details.
+ */
+class ProjectModal extends Component {
+    constructor(imageLoader = null) {
+        super();
+        this.imageLoader = imageLoader;
+        this.modal = null;
+        this.projectId = null;
+        this.opener = null;
+        this.releaseScroll = null;
+        this.slides = [];
+        this.slideIndex = 0;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createModal();
+        this.bindEvents();
+        
+        // Navigation has already scrolled to the card; open it on top
+        this.syncWithHash();
+    }
+    
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'project-modal';
+        this.modal.hidden = true;
+        this.modal.innerHTML = `
+            <div class="project-modal-backdrop" data-modal-close></div>
+            <div class="project-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="project-modal-title" tabindex="-1">
+                <button type="button" class="project-modal-close" aria-label="${escapeHTML(i18n.t('projectModal.close', {}, PROJECT_MODAL_MESSAGES.close))}" data-i18n-attr="aria-label:projectModal.close" data-modal-close>
+                    <i class="fas fa-times"></i>
+                </button>
+                <div class="project-gallery" aria-roledescription="${escapeHTML(i18n.t('projectModal.carousel', {}, PROJECT_MODAL_MESSAGES.carousel))}" aria-label="${escapeHTML(i18n.t('projectModal.gallery', {}, PROJECT_MODAL_MESSAGES.gallery))}" data-i18n-attr="aria-roledescription:projectModal.carousel, aria-label:projectModal.gallery">
+                    <div class="gallery-track"></div>
+                    <button type="button" class="gallery-nav gallery-prev" aria-label="${escapeHTML(i18n.t('projectModal.previous', {}, PROJECT_MODAL_MESSAGES.previous))}" data-i18n-attr="aria-label:projectModal.previous">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" class="gallery-nav gallery-next" aria-label="${escapeHTML(i18n.t('projectModal.next', {}, PROJECT_MODAL_MESSAGES.next))}" data-i18n-attr="aria-label:projectModal.next">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                    <div class="gallery-dots"></div>
+                </div>
+                <div class="project-modal-body"></div>
+            </div>
+        `;
+        
+        this.dialog = this.modal.querySelector('.project-modal-dialog');
+        this.body = this.modal.querySelector('.project-modal-body');
+        this.track = this.modal.querySelector('.gallery-track');
+        this.dots = this.modal.querySelector('.gallery-dots');
+        this.prevButton = this.modal.querySelector('.gallery-prev');
+        this.nextButton = this.modal.querySelector('.gallery-next');
+        
+        document.body.appendChild(this.modal);
+    }
+    
+    bindEvents() {
+        // Placeholder project buttons open the details instead of jumping to the top
+        this.listen(document.querySelector('.projects'), 'click', (e) => {
+            const button = e.target.closest('.project-links a[href="#"]');
+            const card = button?.closest('[data-project-id]');
+            if (!card) return;
+            
+            e.preventDefault();
+            this.open(card.dataset.projectId, { opener: button });
+        });
+        
+        this.listen(this.modal, 'click', (e) => {
+            if (e.target.closest('[data-modal-close]')) {
+                this.close();
+            }
+        });
+        
+        this.listen(this.prevButton, 'click', () => this.showSlide(this.slideIndex - 1));
+        this.listen(this.nextButton, 'click', () => this.showSlide(this.slideIndex + 1));
+        this.listen(this.dots, 'click', (e) => {
+            const dot = e.target.closest('[data-slide]');
+            if (dot) this.showSlide(Number(dot.dataset.slide));
+        });
+        
+        this.listen(this.modal, 'keydown', (e) => this.handleKeydown(e));
+        this.bindSwipe();
+        
+        // Back/Forward into or out of a details URL
+        this.listen(window, 'popstate', () => this.syncWithHash());
+        
+        this.listen(document, 'portfolioLanguageChange', () => {
+            if (this.projectId !== null) this.labelSlides();
+        });
+    }
+    
+    bindSwipe() {
+        let startX = null;
+        let startY = null;
+        
+        this.listen(this.track, 'touchstart', (e) => {
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+        }, { passive: true });
+        
+        this.listen(this.track, 'touchend', (e) => {
+            if (startX === null) return;
+            
+            const dx = e.changedTouches[0].clientX - startX;
+            const dy = e.changedTouches[0].clientY - startY;
+            startX = null;
+            
+            // Ignore mostly vertical gestures so the dialog can still scroll
+            if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+            this.showSlide(this.slideIndex + (dx < 0 ? 1 : -1));
+        });
+    }
+    
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (e.target.closest('input, textarea, video')) return;
+                e.preventDefault();
+                this.showSlide(this.slideIndex + (e.key === 'ArrowRight' ? 1 : -1));
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+    
+    trapFocus(e) {
+        const focusable = [...this.dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(element => !element.hidden && element.offsetParent !== null);
+        if (!focusable.length) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Open or close to match a #projects/<id>/details hash
+     */
+    syncWithHash() {
+        const match = window.location.hash.match(/^#projects\/([a-z0-9-]+)\/details$/);
+        
+        if (match) {
+            this.open(match[1], { updateHistory: false });
+        } else if (this.projectId) {
+            this.close({ updateHistory: false });
+        }
+    }
+    
+    open(projectId, { opener = document.activeElement, updateHistory = true } = {}) {
+        const card = document.querySelector(`.projects [data-project-id="${CSS.escape(projectId)}"]`);
+        if (!card) return;
+        
+        const wasOpen = this.projectId !== null;
+        this.projectId = projectId;
+        this.renderProject(card);
+        
+        if (updateHistory) {
+            const url = `#projects/${projectId}/details`;
+            if (url !== window.location.hash) {
+                history.pushState({ hash: url }, '', url);
+            }
+        }
+        
+        if (wasOpen) return;
+        
+        this.opener = opener;
+        this.modal.hidden = false;
+        this.releaseScroll = lockBodyScroll();
+        
+        // Let the display change apply before fading in
+        requestAnimationFrame(() => this.modal.classList.add('open'));
+        this.dialog.focus();
+        
+        window.analytics?.track('project_details_opened', { project: projectId });
+    }
+    
+    close({ updateHistory = true } = {}) {
+        if (this.projectId === null) return;
+        
+        // Keep pointing at the project, without reopening it on reload
+        if (updateHistory) {
+            const url = `#projects/${this.projectId}`;
+            history.replaceState({ hash: url }, '', url);
+        }
+        
+        this.projectId = null;
+        this.modal.classList.remove('open');
+        this.releaseScroll?.();
+        this.releaseScroll = null;
+        this.track.querySelectorAll('video').forEach(video => video.pause());
+        
+        this.setTimeout(() => {
+            if (this.projectId === null) this.modal.hidden = true;
+        }, 300);
+        
+        this.opener?.focus({ preventScroll: true });
+        this.opener = null;
+    }
+    
+    destroy() {
+        // Leave the URL pointing at the details so a rebuilt modal reopens them
+        this.close({ updateHistory: false });
+        super.destroy();
+        this.modal?.remove();
+    }
+    
+    renderProject(card) {
+        const template = card.querySelector('template.project-details');
+        const details = template ? template.content : null;
+        const title = card.querySelector('.project-title')?.textContent.trim() || '';
+        
+        // Long-form text, falling back to the card description
+        const overview = details?.querySelector('.project-overview')?.cloneNode(true);
+        const description = document.createElement('div');
+        description.className = 'project-overview';
+        if (overview) {
+            description.append(...overview.childNodes);
+        } else {
+            description.innerHTML = `<p>${escapeHTML(card.querySelector('.project-description')?.textContent.trim() || '')}</p>`;
+        }
+        
+        this.body.innerHTML = `
+            <div class="project-category">${escapeHTML(card.querySelector('.project-category')?.textContent.trim() || '')}</div>
+            <h2 class="project-modal-title" id="project-modal-title">${escapeHTML(title)}</h2>
+        `;
+        this.body.appendChild(description);
+        
+        this.appendSection('highlights', card.querySelector('.project-highlights'));
+        this.appendSection('techStack', card.querySelector('.project-tech-stack'));
+        this.appendSection('achievements', card.querySelector('.project-achievements'));
+        this.appendLinks(card);
+        
+        // Gallery slides, falling back to the card's visual
+        const media = details ? [...details.querySelectorAll('.gallery-slide')] : [];
+        this.slides = media.length
+            ? media.map(slide => slide.cloneNode(true))
+            : [this.createFallbackSlide(card, title)];
+        this.renderGallery(title);
+    }
+    
+    appendSection(name, source) {
+        if (!source) return;
+        
+        const key = `projectModal.${name}`;
+        const section = document.createElement('section');
+        section.className = 'project-modal-section';
+        section.innerHTML = `<h3 data-i18n="${key}">${escapeHTML(i18n.t(key, {}, PROJECT_MODAL_MESSAGES[name]))}</h3>`;
+        
+        const copy = source.cloneNode(true);
+        copy.removeAttribute('data-aos');
+        section.appendChild(copy);
+        this.body.appendChild(section);
+    }
+    
+    appendLinks(card) {
+        // Only real destinations; placeholder buttons are what opened this modal
+        const links = [...card.querySelectorAll('.project-links a')]
+            .filter(link => !link.getAttribute('href').startsWith('#'));
+        if (!links.length) return;
+        
+        const section = document.createElement('div');
+        section.className = 'project-links';
+        links.forEach(link => {
+            const copy = link.cloneNode(true);
+            copy.target = '_blank';
+            copy.rel = 'noopener';
+            section.appendChild(copy);
+        });
+        this.body.appendChild(section);
+    }
+    
+    createFallbackSlide(card, title) {
+        const slide = document.createElement('figure');
+        slide.className = 'gallery-slide';
+        
+        const visual = card.querySelector('.project-image')?.cloneNode(true);
+        if (visual) {
+            visual.setAttribute('role', 'img');
+            visual.setAttribute('aria-label', title);
+            slide.appendChild(visual);
+            
+            // The card's photo may not have finished loading when it was copied
+            this.imageLoader?.observe(visual);
+        }
+        return slide;
+    }
+    
+    renderGallery(title) {
+        this.track.innerHTML = '';
+        this.dots.innerHTML = '';
+        
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            this.track.appendChild(slide);
+            
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'gallery-dot';
+            dot.dataset.slide = index;
+            this.dots.appendChild(dot);
+        });
+        this.labelSlides(title);
+        
+        const single = this.slides.length < 2;
+        this.prevButton.hidden = single;
+        this.nextButton.hidden = single;
+        this.dots.hidden = single;
+        
+        this.showSlide(0);
+    }
+    
+    /**
+     * Slide and dot labels, written again when the language changes
+     */
+    labelSlides(title = this.modal.querySelector('.project-modal-title')?.textContent || '') {
+        const count = i18n.formatNumber(this.slides.length);
+        const dots = this.dots.querySelectorAll('.gallery-dot');
+        
+        this.slides.forEach((slide, index) => {
+            const position = { index: i18n.formatNumber(index + 1), count, title };
+            
+            slide.setAttribute('aria-roledescription', i18n.t('projectModal.slide', {}, PROJECT_MODAL_MESSAGES.slide));
+            slide.setAttribute('aria-label', i18n.t('projectModal.slidePosition', position, PROJECT_MODAL_MESSAGES.slidePosition));
+            dots[index]?.setAttribute('aria-label', i18n.t('projectModal.showSlide', position, PROJECT_MODAL_MESSAGES.showSlide));
+        });
+    }
+    
+    showSlide(index) {
+        if (!this.slides.length) return;
+        
+        const previous = this.slideIndex;
+        this.slideIndex = (index + this.slides.length) % this.slides.length;
+        this.track.style.transform = `translateX(-${this.slideIndex * 100}%)`;
+        
+        this.slides.forEach((slide, slideIndex) => {
+            const active = slideIndex === this.slideIndex;
+            slide.setAttribute('aria-hidden', String(!active));
+            slide.querySelectorAll('video').forEach(video => {
+                if (!active) video.pause();
+            });
+        });
+        
+        this.dots.querySelectorAll('.gallery-dot').forEach((dot, dotIndex) => {
+            dot.setAttribute('aria-current', String(dotIndex === this.slideIndex));
+        });
+        
+        if (previous !== this.slideIndex) {
+            window.announceToScreenReader?.(i18n.t('projectModal.slideChanged', {
+                index: i18n.formatNumber(this.slideIndex + 1),
+                count: i18n.formatNumber(this.slides.length)
+            }, PROJECT_MODAL_MESSAGES.slideChanged));
+        }
+    }
+}
+
+// ============================================
+// CATALOGUE FILTER
+// ============================================
+
+/**
+ * Item groups searched by the catalogue, in page order
+ */
+const CATALOGUE_GROUPS = [
+    { key: 'timeline', section: 'experience', selector: '.timeline .timeline-item' },
+    { key: 'skills', section: 'skills', selector: '.skills-main .skill-item' },
+    { key: 'projects', section: 'projects', selector: '.projects-showcase .project-featured' }
+];
+
+// English summary text, used when no catalogue could be loaded
+const CATALOGUE_MESSAGES = {
+    timelineOne: '{count} timeline entry',
+    timelineMany: '{count} timeline entries',
+    skillsOne: '{count} skill',
+    skillsMany: '{count} skills',
+    projectsOne: '{count} project',
+    projectsMany: '{count} projects',
+    showing: 'Showing {groups}',
+    noMatches: 'No matches. Try another search or fewer tags.',
+    noMatchesShort: 'No matches',
+    matchesOne: '{count} match: {groups}',
+    matchesMany: '{count} matches: {groups}',
+    cleared: 'Filters cleared, showing everything'
+};
+
+/**
+ * Lowercase and strip accents so "Verilog", "verilog" and "vérilog" match
+ */
+function normalizeSearchText(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Free-text search and technology tags across projects, the experience
+ * timeline and skills. Matching items stay in place and the rest are
+ * hidden, with the survivors sliding into their new positions. State is
+ * kept in the query string (?q=...&tags=ESP32,Python) so a filtered view
+ * can be shared.
+ */
+class CatalogueFilter extends Component {
+    constructor() {
+        super();
+        this.container = document.querySelector('.catalogue-filter');
+        this.input = document.getElementById('catalogue-query');
+        this.tagList = this.container?.querySelector('.catalogue-tags');
+        this.summary = this.container?.querySelector('.catalogue-summary');
+        this.clearButton = this.container?.querySelector('.catalogue-clear');
+        this.items = [];
+        this.selectedTags = new Set();
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.container || !this.input) return;
+        
+        this.indexItems();
+        this.renderTags();
+        this.bindEvents();
+        
+        // Restore a shared filter without announcing it on page load
+        this.readFromUrl();
+        if (this.isActive) {
+            this.apply({ announce: false, animate: false });
+        }
+    }
+    
+    /**
+     * Rebuild the search index from the current markup
+     */
+    indexItems() {
+        this.items = CATALOGUE_GROUPS.flatMap(group =>
+            [...document.querySelectorAll(group.selector)].map(element => {
+                // Skills also match on their category, so "EDA" finds the tools
+                const category = element.closest('.skill-category')?.querySelector('.skill-header')?.textContent || '';
+                return { element, group, text: normalizeSearchText(`${element.textContent} ${category}`) };
+            })
+        );
+    }
+    
+    renderTags() {
+        // One chip per distinct technology named in the project tech stacks
+        const tags = new Map();
+        document.querySelectorAll('.project-tech-stack .tech-item').forEach(item => {
+            const label = item.textContent.trim();
+            const key = normalizeSearchText(label);
+            if (key && !tags.has(key)) tags.set(key, label);
+        });
+        
+        this.tagList.innerHTML = [...tags.values()].map(label => `
+            <button type="button" class="catalogue-tag" data-tag="${escapeHTML(label)}" aria-pressed="false">${escapeHTML(label)}</button>
+        `).join('');
+    }
+    
+    bindEvents() {
+        this.listen(this.input, 'input', debounce(() => this.apply(), 200));
+        
+        this.listen(this.input, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.input.value) {
+                e.preventDefault();
+                this.input.value = '';
+                this.apply();
+            }
+        });
+        
+        this.listen(this.tagList, 'click', (e) => {
+            const chip = e.target.closest('.catalogue-tag');
+            if (!chip) return;
+            
+            const tag = chip.dataset.tag;
+            if (!this.selectedTags.delete(tag)) {
+                this.selectedTags.add(tag);
+            }
+            this.apply();
+        });
+        
+        this.listen(this.clearButton, 'click', () => {
+            this.input.value = '';
+            this.selectedTags.clear();
+            this.apply();
+            this.input.focus();
+        });
+        
+        // Back/Forward may land on an entry with a different filter
+        this.listen(window, 'popstate', () => {
+            this.readFromUrl();
+            this.apply({ announce: false, updateUrl: false });
+        });
+        
+        // Rewrite the summary in the new language
+        this.listen(document, 'portfolioLanguageChange', () => {
+            if (this.isActive) this.apply({ announce: false, animate: false, updateUrl: false });
+        });
+    }
+    
+    /**
+     * Show every item again; the filter stays in the URL, so a rebuilt
+     * instance restores it
+     */
+    destroy() {
+        super.destroy();
+        if (!this.container || !this.input) return;
+        
+        this.input.value = '';
+        this.selectedTags.clear();
+        this.apply({ announce: false, animate: false, updateUrl: false });
+        this.tagList.innerHTML = '';
+    }
+    
+    get isActive() {
+        return this.input.value.trim() !== '' || this.selectedTags.size > 0;
+    }
+    
+    /**
+     * Every query word and every selected tag must appear in an item
+     */
+    getTerms() {
+        const words = normalizeSearchText(this.input.value).split(' ').filter(Boolean);
+        const tags = [...this.selectedTags].map(normalizeSearchText);
+        return [...words, ...tags];
+    }
+    
+    apply({ announce = true, animate = !motion.reduced, updateUrl = true } = {}) {
+        const terms = this.getTerms();
+        const counts = {};
+        const layoutElements = this.getLayoutElements();
+        const before = animate ? this.measure(layoutElements) : null;
+        
+        this.items.forEach(item => {
+            const matches = terms.every(term => item.text.includes(term));
+            item.element.classList.toggle('catalogue-hidden', !matches);
+            counts[item.group.key] = (counts[item.group.key] || 0) + (matches ? 1 : 0);
+        });
+        
+        // Hide skill categories left without skills
+        document.querySelectorAll('.skills-main .skill-category').forEach(category => {
+            category.classList.toggle('catalogue-hidden', !category.querySelector('.skill-item:not(.catalogue-hidden)'));
+        });
+        
+        // Point out the matching technologies on visible projects
+        document.querySelectorAll('.project-tech-stack .tech-item').forEach(tech => {
+            const text = normalizeSearchText(tech.textContent);
+            tech.classList.toggle('catalogue-match', terms.length > 0 && terms.some(term => text.includes(term)));
+        });
+        
+        this.tagList.querySelectorAll('.catalogue-tag').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.selectedTags.has(chip.dataset.tag)));
+        });
+        
+        if (before) {
+            this.animateLayout(layoutElements, before);
+        }
+        
+        // Hidden items shift everything below; let AOS recompute its offsets
+        if (typeof AOS !== 'undefined') {
+            AOS.refresh();
+        }
+        
+        this.updateSummary(counts, announce);
+        if (updateUrl) this.writeToUrl();
+    }
+    
+    getLayoutElements() {
+        return [
+            ...this.items.map(item => item.element),
+            ...document.querySelectorAll('.skills-main .skill-category')
+        ];
+    }
+    
+    measure(elements) {
+        const rects = new Map();
+        elements.forEach(element => {
+            if (!element.classList.contains('catalogue-hidden')) {
+                rects.set(element, element.getBoundingClientRect());
+            }
+        });
+        return rects;
+    }
+    
+    /**
+     * FLIP: start each surviving item at its old position and let it slide
+     * to the new one; newly shown items fade in
+     */
+    animateLayout(elements, before) {
+        const after = this.measure(elements);
+        
+        after.forEach((rect, element) => {
+            const previous = before.get(element);
+            element.style.transition = 'none';
+            
+            if (previous) {
+                const dx = previous.left - rect.left;
+                const dy = previous.top - rect.top;
+                if (!dx && !dy) {
+                    element.style.transition = '';
+                    return;
+                }
+                element.style.transform = `translate(${dx}px, ${dy}px)`;
+            } else {
+                element.style.opacity = '0';
+            }
+            
+            scheduler.mutate(() => {
+                element.style.transition = 'transform 0.4s ease, opacity 0.4s ease';
+                element.style.transform = '';
+                element.style.opacity = '';
+                
+                element.addEventListener('transitionend', () => {
+                    element.style.transition = '';
+                }, { once: true });
+            });
+        });
+    }
+    
+    updateSummary(counts, announce) {
+        this.clearButton.hidden = !this.isActive;
+        
+        if (!this.isActive) {
+            this.summary.hidden = true;
+            this.summary.innerHTML = '';
+            if (announce) window.announceToScreenReader?.(i18n.t('catalogue.cleared', {}, CATALOGUE_MESSAGES.cleared));
+            return;
+        }
+        
+        const parts = CATALOGUE_GROUPS.map(group => {
+            const count = counts[group.key] || 0;
+            const key = `${group.key}${count === 1 ? 'One' : 'Many'}`;
+            return { group, count, label: i18n.t(`catalogue.${key}`, { count: i18n.formatNumber(count) }, CATALOGUE_MESSAGES[key]) };
+        });
+        const total = parts.reduce((sum, part) => sum + part.count, 0);
+        
+        // {groups} is left in place by t() and filled with the linked labels
+        const groups = parts.map(part => part.count
+            ? `<a href="#${part.group.section}">${escapeHTML(part.label)}</a>`
+            : escapeHTML(part.label)).join(', ');
+        
+        this.summary.hidden = false;
+        this.summary.innerHTML = total === 0
+            ? escapeHTML(i18n.t('catalogue.noMatches', {}, CATALOGUE_MESSAGES.noMatches))
+            : escapeHTML(i18n.t('catalogue.showing', {}, CATALOGUE_MESSAGES.showing)).replace('{groups}', () => groups);
+        
+        if (announce) {
+            const key = total === 1 ? 'matchesOne' : 'matchesMany';
+            window.announceToScreenReader?.(total === 0
+                ? i18n.t('catalogue.noMatchesShort', {}, CATALOGUE_MESSAGES.noMatchesShort)
+                : i18n.t(`catalogue.${key}`, {
+                    count: i18n.formatNumber(total),
+                    groups: parts.map(part => part.label).join(', ')
+                }, CATALOGUE_MESSAGES[key]));
+        }
+    }
+    
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const knownTags = new Set([...this.tagList.querySelectorAll('.catalogue-tag')].map(chip => chip.dataset.tag));
+        
+        this.input.value = params.get('q') || '';
+        this.selectedTags = new Set(
+            (params.get('tags') || '').split(',').filter(tag => knownTags.has(tag))
+        );
+    }
+    
+    writeToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const query = this.input.value.trim();
+        
+        if (query) {
+            params.set('q', query);
+        } else {
+            params.delete('q');
+        }
+        
+        if (this.selectedTags.size) {
+            params.set('tags', [...this.selectedTags].join(','));
+        } else {
+            params.delete('tags');
+        }
+        
+        // Filtering refines the current entry rather than adding history
+        const search = params.toString();
+        history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    }
+}
+
+// ============================================
+// COMMAND PALETTE
+// ============================================
+
+// Results shown for a query; an empty query lists sections and actions
+const COMMAND_PALETTE_LIMIT = 12;
+
+// English text for the palette and its actions, used when no catalogue could be loaded
+const COMMAND_PALETTE_MESSAGES = {
+    label: 'Command palette',
+    placeholder: 'Jump to a section, project or skill, or run an action',
+    commands: 'Commands',
+    noMatches: 'No matching commands',
+    resultsOne: '{count} result',
+    resultsMany: '{count} results',
+    groupSection: 'Section',
+    groupProject: 'Project',
+    groupSkill: 'Skill',
+    groupAction: 'Action',
+    copyEmail: 'Copy email address',
+    copied: 'Copied {email}',
+    downloadResume: 'Download résumé',
+    printResume: 'Print résumé',
+    exportResume: 'Export résumé as JSON Resume',
+    toggleTheme: 'Toggle theme',
+    openLinkedIn: 'Open LinkedIn profile',
+    failed: 'Could not run "{command}", please try again'
+};
+
+/**
+ * Score how well a query matches text as an in-order subsequence, favouring
+ * consecutive characters and word starts. Returns -1 when it does not match.
+ */
+function fuzzyScore(query, text) {
+    const needle = normalizeSearchText(query).replace(/ /g, '');
+    const haystack = normalizeSearchText(text);
+    if (!needle) return 0;
+    
+    let score = 0;
+    let position = -1;
+    let streak = 0;
+    
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position + 1);
+        if (index === -1) return -1;
+        
+        streak = index === position + 1 ? streak + 1 : 0;
+        score += 1 + streak * 2;
+        if (index === 0 || haystack[index - 1] === ' ') score += 3;
+        position = index;
+    }
+    
+    // Prefer shorter labels when scores tie
+    return score - haystack.length / 100;
+}
+
+/**
+ * Keyboard launcher (Ctrl/Cmd+K or "/") for jumping to sections, projects
+ * and skills or running site actions. Follows the ARIA combobox pattern:
+ * focus stays in the input and the highlighted option is exposed through
+ * aria-activedescendant.
+ */
+class CommandPalette extends Component {
+    constructor(navigation, resumeBuilder, themeManager) {
+        super();
+        this.navigation = navigation;
+        this.resumeBuilder = resumeBuilder;
+        this.themeManager = themeManager;
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.opener = null;
+        this.isOpen = false;
+        
+        this.init();
+    }
+    
+    init() {
+        this.createPalette();
+        this.bindEvents();
+    }
+    
+    createPalette() {
+        this.palette = document.createElement('div');
+        this.palette.className = 'command-palette';
+        this.palette.hidden = true;
+        this.palette.innerHTML = `
+            <div class="command-palette-backdrop"></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-label="${escapeHTML(i18n.t('palette.label', {}, COMMAND_PALETTE_MESSAGES.label))}" data-i18n-attr="aria-label:palette.label">
+                <div class="command-palette-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="text" class="command-palette-input" placeholder="${escapeHTML(i18n.t('palette.placeholder', {}, COMMAND_PALETTE_MESSAGES.placeholder))}"
+                        data-i18n-attr="placeholder:palette.placeholder"
+                        role="combobox" aria-expanded="true" aria-controls="command-palette-list"
+                        aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul class="command-palette-list" id="command-palette-list" role="listbox" aria-label="${escapeHTML(i18n.t('palette.commands', {}, COMMAND_PALETTE_MESSAGES.commands))}" data-i18n-attr="aria-label:palette.commands"></ul>
+                <p class="command-palette-status" aria-live="polite"></p>
+            </div>
+        `;
+        
+        this.input = this.palette.querySelector('.command-palette-input');
+        this.list = this.palette.querySelector('.command-palette-list');
+        this.status = this.palette.querySelector('.command-palette-status');
+        
+        document.body.appendChild(this.palette);
+    }
+    
+    bindEvents() {
+        this.listen(document, 'keydown', (e) => {
+            const shortcut = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k';
+            const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isEditable(e.target);
+            
+            if (shortcut || (slash && !this.isOpen)) {
+                e.preventDefault();
+                this.isOpen ? this.close() : this.open();
+            }
+        });
+        
+        this.listen(this.input, 'input', () => this.search());
+        this.listen(this.input, 'keydown', (e) => this.handleKeydown(e));
+        
+        this.listen(this.list, 'click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.run(Number(option.dataset.index));
+        });
+        
+        this.listen(this.list, 'mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+        
+        this.listen(this.palette.querySelector('.command-palette-backdrop'), 'click', () => this.close());
+    }
+    
+    destroy() {
+        this.close();
+        super.destroy();
+        this.palette.remove();
+    }
+    
+    isEditable(element) {
+        return element.isContentEditable || Boolean(element.closest?.('input, textarea, select'));
+    }
+    
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.run(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // The input is the only stop inside the dialog
+                e.preventDefault();
+                break;
+        }
+    }
+    
+    open() {
+        if (this.isOpen) return;
+        
+        this.isOpen = true;
+        this.opener = document.activeElement;
+        
+        // Rebuilt on every open so rendered content and new sections are picked up
+        this.commands = this.buildCommands();
+        this.input.value = '';
+        this.status.textContent = '';
+        this.search();
+        
+        this.palette.hidden = false;
+        this.input.focus();
+    }
+    
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.palette.hidden = true;
+        this.opener?.focus?.({ preventScroll: true });
+        this.opener = null;
+    }
+    
+    buildCommands() {
+        const sections = getPageSections().map(({ id, label }) => ({
+            group: 'Section',
+            icon: 'fas fa-hashtag',
+            label,
+            keywords: id,
+            run: () => this.navigation.navigateTo(`#${id}`)
+        }));
+        
+        const projects = [...document.querySelectorAll('.projects [data-project-id]')].map(card => ({
+            group: 'Project',
+            icon: 'fas fa-folder-open',
+            label: card.querySelector('.project-title')?.textContent.trim() || card.dataset.projectId,
+            keywords: [...card.querySelectorAll('.project-category, .tech-item')].map(item => item.textContent).join(' '),
+            run: () => this.navigation.navigateTo(`#projects/${card.dataset.projectId}`)
+        }));
+        
+        const skills = [...document.querySelectorAll('.skills-main .skill-item')].map(item => ({
+            group: 'Skill',
+            icon: 'fas fa-bolt',
+            label: item.querySelector('.skill-name')?.textContent.trim() || '',
+            keywords: item.closest('.skill-category')?.querySelector('.skill-header')?.textContent || '',
+            run: async () => {
+                await this.navigation.navigateTo('#skills');
+                this.navigation.highlightItem(item);
+            }
+        })).filter(command => command.label);
+        
+        return [...sections, ...projects, ...skills, ...this.buildActions()];
+    }
+    
+    buildActions() {
+        const linkedIn = document.querySelector('a[href*="linkedin.com"]')?.href;
+        
+        const actions = [
+            {
+                icon: 'fas fa-copy',
+                label: i18n.t('palette.copyEmail', {}, COMMAND_PALETTE_MESSAGES.copyEmail),
+                keywords: `contact mail ${CONFIG.CONTACT_EMAIL}`,
+                showsResult: true,
+                run: () => this.copyEmail()
+            },
+            {
+                icon: 'fas fa-file-download',
+                label: i18n.t('palette.downloadResume', {}, COMMAND_PALETTE_MESSAGES.downloadResume),
+                keywords: 'resume cv pdf',
+                run: () => this.resumeBuilder.export('pdf')
+            },
+            {
+                icon: 'fas fa-print',
+                label: i18n.t('palette.printResume', {}, COMMAND_PALETTE_MESSAGES.printResume),
+                keywords: 'resume cv paper',
+                run: () => this.resumeBuilder.export('print')
+            },
+            {
+                icon: 'fas fa-file-code',
+                label: i18n.t('palette.exportResume', {}, COMMAND_PALETTE_MESSAGES.exportResume),
+                keywords: 'resume cv json data',
+                run: () => this.resumeBuilder.export('json')
+            },
+            {
+                icon: 'fas fa-adjust',
+                label: i18n.t('palette.toggleTheme', {}, COMMAND_PALETTE_MESSAGES.toggleTheme),
+                keywords: 'dark light high contrast appearance',
+                run: () => this.themeManager.cycle()
+            }
+        ];
+        
+        if (linkedIn) {
+            actions.push({
+                icon: 'fab fa-linkedin-in',
+                label: i18n.t('palette.openLinkedIn', {}, COMMAND_PALETTE_MESSAGES.openLinkedIn),
+                keywords: 'social network connect',
+                run: () => window.open(linkedIn, '_blank', 'noopener')
+            });
+        }
+        
+        return actions.map(action => ({ group: 'Action', ...action }));
+    }
+    
+    async copyEmail() {
+        try {
+            await navigator.clipboard.writeText(CONFIG.CONTACT_EMAIL);
+            return i18n.t('palette.copied', { email: CONFIG.CONTACT_EMAIL }, COMMAND_PALETTE_MESSAGES.copied);
+        } catch (error) {
+            // Clipboard blocked or unsupported: offer the mail client instead
+            window.location.href = `mailto:${CONFIG.CONTACT_EMAIL}`;
+        }
+    }
+    
+    search() {
+        const query = this.input.value.trim();
+        
+        if (!query) {
+            this.results = this.commands.filter(command => command.group === 'Section' || command.group === 'Action');
+        } else {
+            this.results = this.commands
+                .map(command => ({
+                    command,
+                    // Matches in the label count for more than keyword matches
+                    score: Math.max(fuzzyScore(query, command.label), fuzzyScore(query, command.keywords) - 5)
+                }))
+                .filter(result => result.score >= 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, COMMAND_PALETTE_LIMIT)
+                .map(result => result.command);
+        }
+        
+        this.render();
+        this.setActive(0);
+    }
+    
+    render() {
+        this.list.innerHTML = this.results.map((command, index) => `
+            <li class="command-option" id="command-option-${index}" role="option" data-index="${index}" aria-selected="false">
+                <i class="${escapeHTML(command.icon)}" aria-hidden="true"></i>
+                <span class="command-label">${escapeHTML(command.label)}</span>
+                <span class="command-group">${escapeHTML(i18n.t(`palette.group${command.group}`, {}, COMMAND_PALETTE_MESSAGES[`group${command.group}`]))}</span>
+            </li>
+        `).join('');
+        
+        if (!this.results.length) {
+            this.list.innerHTML = `<li class="command-empty" role="presentation">${escapeHTML(i18n.t('palette.noMatches', {}, COMMAND_PALETTE_MESSAGES.noMatches))}</li>`;
+        }
+        
+        const key = this.results.length === 1 ? 'resultsOne' : 'resultsMany';
+        this.status.textContent = this.input.value.trim()
+            ? i18n.t(`palette.${key}`, { count: i18n.formatNumber(this.results.length) }, COMMAND_PALETTE_MESSAGES[key])
+            : '';
+    }
+    
+    setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        
+        if (!options.length) {
+            this.activeIndex = 0;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === this.activeIndex));
+        });
+        
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+    
+    /**
+     * Commands flagged showsResult stay open to display the message they
+     * resolve to, then close. A command that fails reopens the palette
+     * with a message, so the visitor can try again.
+     */
+    async run(index) {
+        const command = this.results[index];
+        if (!command) return;
+        
+        // Closed first, so commands that move focus keep it
+        if (!command.showsResult) this.close();
+        
+        let message;
+        try {
+            message = await command.run();
+        } catch (error) {
+            errorReporter.capture(error, { component: 'CommandPalette' });
+            this.open();
+            this.status.textContent = i18n.t('palette.failed', { command: command.label }, COMMAND_PALETTE_MESSAGES.failed);
+            return;
+        }
+        
+        if (!command.showsResult) return;
+        if (!message) {
+            this.close();
+            return;
+        }
+        
+        this.status.textContent = message;
+        this.setTimeout(() => this.close(), 1200);
+    }
+}
+
+// ============================================
+// RESUME
+// ============================================
+
+const RESUME_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Convert "Sep 2023" or "2024" to the ISO 8601 forms JSON Resume expects
+ */
+function toResumeDate(text) {
+    const match = (text || '').trim().match(/^(?:([a-z]{3})[a-z]*\.?\s+)?(\d{4})$/i);
+    if (!match) return undefined;
+    
+    const month = match[1] ? RESUME_MONTHS.indexOf(match[1].toLowerCase()) + 1 : 0;
+    return month ? `${match[2]}-${String(month).padStart(2, '0')}` : match[2];
+}
+
+/**
+ * Split "Sep 2023 - Aug 2027" or "2024 - Present" into ISO start/end dates
+ */
+function toResumeDateRange(text) {
+    const [start, end] = (text || '').split(/\s+[-–—]\s+/);
+    return { startDate: toResumeDate(start), endDate: toResumeDate(end) };
+}
+
+/**
+ * Format an ISO résumé date ("2023-09" or "2024") for display
+ */
+function formatResumeDate(date) {
+    const [year, month] = (date || '').split('-').map(Number);
+    if (!year) return '';
+    return month
+        ? new Date(year, month - 1).toLocaleDateString('en', { month: 'short', year: 'numeric' })
+        : String(year);
+}
+
+/**
+ * Assembles a résumé from the content currently on the page and exports it
+ * as a JSON Resume document (https://jsonresume.org/schema), a generated
+ * PDF and a print view styled by print.css. Everything is collected at
+ * export time, so the résumé always matches what the page shows.
+ */
+class ResumeBuilder extends Component {
+    constructor() {
+        super();
+        this.pdfWriterReady = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.listen(document, 'click', (e) => {
+            const trigger = e.target.closest('[data-resume-export]');
+            if (!trigger) return;
+            
+            e.preventDefault();
+            this.export(trigger.dataset.resumeExport);
+        });
+        
+        // Ctrl+P prints the résumé too, not just the buttons
+        this.listen(window, 'beforeprint', () => this.renderPrintView());
+    }
+    
+    destroy() {
+        super.destroy();
+        document.querySelector('.resume-document')?.remove();
+    }
+    
+    export(format) {
+        window.analytics?.track('resume_export', { format });
+        
+        switch (format) {
+            case 'pdf':
+                return this.exportPdf();
+            case 'json':
+                return this.exportJson();
+            default:
+                return this.print();
+        }
+    }
+    
+    // ---- Collection ----
+    
+    text(element) {
+        return element?.textContent.replace(/\s+/g, ' ').trim() || '';
+    }
+    
+    /**
+     * The final figure of a Counter, even before it has counted up
+     */
+    counterValue(element) {
+        return element?.dataset.value || this.text(element);
+    }
+    
+    /**
+     * The English date range, even when I18n has localised the visible text
+     */
+    timelineDate(item) {
+        const date = item.querySelector('.timeline-date');
+        return date?.dataset.date || this.text(date);
+    }
+    
+    /**
+     * Read the page into a JSON Resume object
+     */
+    collect() {
+        const timeline = [...document.querySelectorAll('.timeline .timeline-item')].map(item => ({
+            kind: item.dataset.timelineKind,
+            title: this.text(item.querySelector('.timeline-title')),
+            subtitle: this.text(item.querySelector('.timeline-subtitle')),
+            organization: this.text(item.querySelector('.timeline-company')),
+            description: this.text(item.querySelector('.timeline-description')),
+            skills: [...item.querySelectorAll('.skill-tag')].map(tag => this.text(tag)),
+            details: [...item.querySelectorAll('.detail-item')].map(detail => ({
+                label: this.text(detail.querySelector('.detail-label')).replace(/:$/, ''),
+                value: this.counterValue(detail.querySelector('.detail-value'))
+            })),
+            ...toResumeDateRange(this.timelineDate(item))
+        }));
+        const ofKind = (...kinds) => timeline.filter(entry => kinds.includes(entry.kind));
+        
+        const projects = [...document.querySelectorAll('.projects-showcase [data-project-id]')];
+        
+        return {
+            $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+            basics: this.collectBasics(),
+            work: ofKind('work').map(entry => ({
+                name: entry.organization,
+                position: entry.title,
+                startDate: entry.startDate,
+                endDate: entry.endDate,
+                summary: entry.description || entry.subtitle,
+                highlights: entry.skills
+            })),
+            volunteer: ofKind('volunteer').map(entry => ({
+                organization: [entry.subtitle, entry.organization].filter(Boolean).join(', '),
+                position: entry.title,
+                startDate: entry.startDate,
+                endDate: entry.endDate,
+                summary: entry.description
+            })),
+            education: ofKind('education').map(entry => ({
+                institution: entry.organization,
+                area: entry.subtitle,
+                studyType: entry.title,
+                startDate: entry.startDate,
+                endDate: entry.endDate,
+                score: entry.details.find(detail => /cgpa|gpa|grade/i.test(detail.label))?.value,
+                courses: entry.details
+                    .filter(detail => !/cgpa|gpa|grade/i.test(detail.label))
+                    .map(detail => `${detail.label}: ${detail.value}`)
+            })),
+            certificates: ofKind('certificate', 'training').map(entry => ({
+                name: `${entry.subtitle} (${entry.title})`,
+                date: entry.startDate,
+                issuer: entry.organization
+            })),
+            awards: projects.flatMap(card => [...card.querySelectorAll('.achievement-item')].map(achievement => {
+                const awarder = this.text(achievement.querySelector('.achievement-text span'));
+                return {
+                    title: this.text(achievement.querySelector('.achievement-text strong')),
+                    awarder,
+                    date: awarder.match(/\b(19|20)\d{2}\b/)?.[0],
+                    summary: `For ${this.text(card.querySelector('.project-title'))}`
+                };
+            })),
+            projects: projects.map(card => ({
+                name: this.text(card.querySelector('.project-title')),
+                description: this.text(card.querySelector('.project-description')),
+                highlights: [...card.querySelectorAll('.project-highlights .highlight')].map(item => this.text(item)),
+                keywords: [...card.querySelectorAll('.project-tech-stack .tech-item')].map(item => this.text(item)),
+                url: [...card.querySelectorAll('.project-links a')]
+                    .map(link => link.getAttribute('href'))
+                    .find(href => !href.startsWith('#'))
+            })),
+            skills: [...document.querySelectorAll('.skills-main .skill-category')].map(category => ({
+                name: this.text(category.querySelector('.skill-header h3')),
+                keywords: [...category.querySelectorAll('.skill-name')].map(name => this.text(name))
+            }))
+        };
+    }
+    
+    collectBasics() {
+        const [city, region] = this.text(document.querySelector('.footer-location')).split(/,\s*/);
+        const phone = document.querySelector('a[href^="tel:"]')?.getAttribute('href').replace('tel:', '');
+        
+        const profiles = [...document.querySelectorAll('.hero-social a[href^="http"]')].map(link => {
+            const url = new URL(link.href);
+            return {
+                network: link.title || url.hostname,
+                username: url.pathname.split('/').filter(Boolean).pop(),
+                url: link.href
+            };
+        });
+        
+        return {
+            name: this.text(document.querySelector('.hero-name')),
+            label: DYNAMIC_TITLES[0],
+            email: CONFIG.CONTACT_EMAIL,
+            phone,
+            url: window.location.origin + window.location.pathname,
+            summary: [...document.querySelectorAll('.about-description')].map(paragraph => this.text(paragraph)).join(' '),
+            location: { city, region },
+            profiles
+        };
+    }
+    
+    /**
+     * Flatten a JSON Resume object into titled sections of entries, the
+     * shape both the print view and the PDF are laid out from
+     */
+    toSections(resume) {
+        const range = ({ startDate, endDate, date }) => date
+            ? formatResumeDate(date)
+            : [formatResumeDate(startDate), endDate ? formatResumeDate(endDate) : (startDate ? 'Present' : '')]
+                .filter(Boolean).join(' – ');
+        
+        return [
+            { title: 'Summary', paragraphs: [resume.basics.summary] },
+            { title: 'Education', entries: resume.education.map(item => ({
+                heading: [item.studyType, item.area].filter(Boolean).join(', '),
+                date: range(item),
+                meta: [item.institution, item.score && `CGPA ${item.score}`].filter(Boolean).join(' · '),
+                bullets: item.courses
+            })) },
+            { title: 'Experience', entries: resume.work.map(item => ({
+                heading: `${item.position}, ${item.name}`,
+                date: range(item),
+                meta: item.summary,
+                bullets: item.highlights
+            })) },
+            { title: 'Projects', entries: resume.projects.map(item => ({
+                heading: item.name,
+                meta: item.description,
+                bullets: [...item.highlights, item.keywords.length && `Tech: ${item.keywords.join(', ')}`].filter(Boolean)
+            })) },
+            { title: 'Awards', entries: resume.awards.map(item => ({
+                heading: item.title,
+                date: range(item),
+                meta: `${item.awarder} · ${item.summary}`
+            })) },
+            { title: 'Skills', entries: resume.skills.map(item => ({
+                heading: item.name,
+                meta: item.keywords.join(', ')
+            })) },
+            { title: 'Certifications & Training', entries: resume.certificates.map(item => ({
+                heading: item.name,
+                date: range(item),
+                meta: item.issuer
+            })) },
+            { title: 'Leadership & Activities', entries: resume.volunteer.map(item => ({
+                heading: `${item.position}, ${item.organization}`,
+                date: range(item),
+                meta: item.summary
+            })) }
+        ].filter(section => (section.entries || section.paragraphs.filter(Boolean)).length);
+    }
+    
+    contactLine(basics) {
+        return [
+            basics.email,
+            basics.phone,
+            [basics.location.city, basics.location.region].filter(Boolean).join(', '),
+            ...basics.profiles.map(profile => profile.url.replace(/^https?:\/\//, ''))
+        ].filter(Boolean);
+    }
+    
+    // ---- Exports ----
+    
+    exportJson() {
+        const json = JSON.stringify(this.collect(), null, 2);
+        this.download(new Blob([json], { type: 'application/json' }), 'resume.json');
+    }
+    
+    async exportPdf() {
+        try {
+            await this.loadPdfWriter();
+        } catch (error) {
+            // The print view produces the same document through the browser
+            console.error('PDF export unavailable, printing instead:', error.message);
+            this.print();
+            return;
+        }
+        
+        const resume = this.collect();
+        const { basics } = resume;
+        const accent = [0.1, 0.14, 0.49];
+        const pdf = new PdfDocument({ title: `${basics.name} – Résumé`, author: basics.name });
+        
+        pdf.text(basics.name, { font: 'bold', size: 22, color: accent });
+        pdf.text(basics.label, { size: 12 });
+        pdf.space(4);
+        pdf.text(this.contactLine(basics).join('  ·  '), { size: 9, color: [0.4, 0.4, 0.4] });
+        
+        this.toSections(resume).forEach(section => {
+            pdf.space(10);
+            pdf.ensureSpace(40);
+            pdf.text(section.title.toUpperCase(), { font: 'bold', size: 11, color: accent });
+            pdf.rule();
+            
+            (section.paragraphs || []).forEach(paragraph => pdf.text(paragraph));
+            
+            (section.entries || []).forEach(entry => {
+                pdf.space(4);
+                pdf.ensureSpace(30);
+                pdf.text(entry.date ? `${entry.heading}  (${entry.date})` : entry.heading, { font: 'bold', size: 10.5 });
+                if (entry.meta) pdf.text(entry.meta, { size: 9.5 });
+                (entry.bullets || []).forEach(bullet => pdf.text(`•  ${bullet}`, { size: 9.5, indent: 8, hanging: 9 }));
+            });
+        });
+        
+        const filename = `${basics.name.replace(/\s+/g, '-')}-Resume.pdf`;
+        this.download(pdf.toBlob(), filename);
+    }
+    
+    print() {
+        this.renderPrintView();
+        window.print();
+    }
+    
+    /**
+     * (Re)build the document print.css shows instead of the page
+     */
+    renderPrintView() {
+        const resume = this.collect();
+        const { basics } = resume;
+        
+        let article = document.querySelector('.resume-document');
+        if (!article) {
+            article = document.createElement('article');
+            article.className = 'resume-document';
+            article.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(article);
+        }
+        
+        const sections = this.toSections(resume).map(section => `
+            <section class="resume-section">
+                <h2>${escapeHTML(section.title)}</h2>
+                ${(section.paragraphs || []).map(paragraph => `<p>${escapeHTML(paragraph)}</p>`).join('')}
+                ${(section.entries || []).map(entry => `
+                    <div class="resume-entry">
+                        <div class="resume-entry-header">
+                            <h3>${escapeHTML(entry.heading)}</h3>
+                            ${entry.date ? `<span>${escapeHTML(entry.date)}</span>` : ''}
+                        </div>
+                        ${entry.meta ? `<p>${escapeHTML(entry.meta)}</p>` : ''}
+                        ${entry.bullets?.length ? `<ul>${entry.bullets.map(bullet => `<li>${escapeHTML(bullet)}</li>`).join('')}</ul>` : ''}
+                    </div>`).join('')}
+            </section>`).join('');
+        
+        article.innerHTML = `
+            <header class="resume-header">
+                <h1>${escapeHTML(basics.name)}</h1>
+                <p class="resume-label">${escapeHTML(basics.label)}</p>
+                <p class="resume-contact">${this.contactLine(basics).map(escapeHTML).join(' · ')}</p>
+            </header>
+            ${sections}
+        `;
+    }
+    
+    loadPdfWriter() {
+        if (typeof PdfDocument !== 'undefined') return Promise.resolve();
+        
+        // Loaded on first use; most visitors never export a PDF
+        this.pdfWriterReady = this.pdfWriterReady || new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = 'pdf-writer.js';
+            script.onload = resolve;
+            script.onerror = () => {
+                this.pdfWriterReady = null;
+                reject(new Error('Could not load pdf-writer.js'));
+            };
+            document.head.appendChild(script);
+        });
+        
+        return this.pdfWriterReady;
+    }
+    
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// ============================================
+// FORM VALIDATION
+// ============================================
+
+// English defaults; the active catalogue's validation.* messages take precedence
+const VALIDATION_MESSAGES = {
+    required: 'This field is required',
+    minLength: 'Please enter at least {minLength} characters',
+    maxLength: 'Please use no more than {maxLength} characters',
+    pattern: 'Please match the requested format',
+    email: 'Please enter a valid email address',
+    phone: 'Please enter a phone number with country code, e.g. +91 6360614368',
+    failed: 'This field could not be checked, please try again'
+};
+
+/**
+ * Declarative field validation. Rules come from the field's markup
+ * (`required`, `minlength`, `maxlength`, `pattern`, `type="email"`,
+ * `type="tel"`, `data-validate="customName"`) and may be overridden per
+ * field name through the config object. Messages can be customised with
+ * `data-error-<rule>` attributes, e.g. `data-error-min-length`.
+ */
+class FormValidator {
+    constructor(form, config = {}) {
+        this.form = form;
+        this.config = config;
+    }
+    
+    /**
+     * Register a custom validator usable through `data-validate="name"`.
+     * It receives `(value, field, form)` and returns (or resolves to) an
+     * error message, or a falsy value when the input is valid.
+     */
+    static registerValidator(name, validator) {
+        FormValidator.validators[name] = validator;
+    }
+    
+    get fields() {
+        return [...this.form.elements].filter(field =>
+            field.name &&
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(field.tagName) &&
+            field.type !== 'hidden' &&
+            !field.disabled &&
+            !field.closest('.form-honeypot')
+        );
+    }
+    
+    getRules(field) {
+        const data = field.dataset;
+        const override = this.config[field.name] || {};
+        
+        const rules = {
+            required: field.required,
+            minLength: field.minLength > 0 ? field.minLength : null,
+            maxLength: field.maxLength > 0 ? field.maxLength : null,
+            pattern: field.getAttribute('pattern'),
+            email: field.type === 'email',
+            phone: field.type === 'tel',
+            custom: data.validate ? data.validate.split(/\s+/) : [],
+            ...override
+        };
+        
+        const messages = {};
+        Object.keys(VALIDATION_MESSAGES).forEach(rule => {
+            const attribute = data[`error${rule.charAt(0).toUpperCase()}${rule.slice(1)}`];
+            if (attribute) messages[rule] = attribute;
+        });
+        rules.messages = { ...messages, ...override.messages };
+        
+        return rules;
+    }
+    
+    /**
+     * Resolve with the first failing rule's message, or null when valid
+     */
+    async validateField(field) {
+        const rules = this.getRules(field);
+        const value = field.value.trim();
+        const fail = (rule) => (rules.messages[rule] || i18n.t(`validation.${rule}`, {}, VALIDATION_MESSAGES[rule]))
+            .replace(/\{(\w+)\}/g, (match, key) => rules[key] ?? match);
+        
+        try {
+            if (!value) {
+                return rules.required ? fail('required') : null;
+            }
+            
+            if (rules.minLength && value.length < rules.minLength) return fail('minLength');
+            if (rules.maxLength && value.length > rules.maxLength) return fail('maxLength');
+            if (rules.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return fail('email');
+            if (rules.phone && !/^\+[1-9]\d{0,3}[\s-]?\d(?:[\s-]?\d){5,13}$/.test(value)) return fail('phone');
+            if (rules.pattern && !new RegExp(`^(?:${rules.pattern})$`).test(value)) return fail('pattern');
+            
+            for (const name of rules.custom) {
+                const validator = FormValidator.validators[name];
+                if (!validator) {
+                    console.warn(`Unknown validator "${name}" on field "${field.name}"`);
+                    continue;
+                }
+                
+                const message = await validator(value, field, this.form);
+                if (message) return message;
+            }
+            
+            return null;
+        } catch (error) {
+            // A broken pattern or custom validator must not silently block the submit
+            errorReporter.capture(error, { component: 'FormValidator' });
+            return fail('failed');
+        }
+    }
+    
+    /**
+     * Validate every field, resolving with `[{ field, message }]` for the
+     * fields that failed, in document order
+     */
+    async validate() {
+        const results = await Promise.all(this.fields.map(async field => ({
+            field,
+            message: await this.validateField(field)
+        })));
+        
+        return results.filter(result => result.message);
+    }
+}
+
+FormValidator.validators = {};
+
+// ============================================
+// FORM SUBMISSION
+// ============================================
+
+/**
+ * Error raised when a message could not be delivered
+ */
+class SubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = {}, retryable = false } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Base transport posting the form data over HTTP. Subclasses only decide
+ * how the payload is encoded.
+ */
+class HttpTransport {
+    constructor(endpoint = CONFIG.FORM_ENDPOINT) {
+        this.endpoint = endpoint;
+    }
+    
+    encode(data) {
+        throw new Error(`${this.constructor.name} must implement encode()`);
+    }
+    
+    async send(data, { signal } = {}) {
+        const { body, contentType } = this.encode(data);
+        let response;
+        
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Accept': 'application/json'
+                },
+                body,
+                signal
+            });
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? 'Request timed out' : 'Network request failed';
+            throw new SubmissionError(reason, { retryable: true });
+        }
+        
+        const result = await this.parseResponse(response);
+        
+        if (!response.ok) {
+            throw new SubmissionError(result.message || `Server responded with ${response.status}`, {
+                status: response.status,
+                fieldErrors: result.fieldErrors,
+                retryable: response.status >= 500 || response.status === 429
+            });
+        }
+        
+        return { transport: this.name, message: result.message };
+    }
+    
+    /**
+     * Normalise the common endpoint response shapes: Formspree style
+     * `{ errors: [{ field, message }] }` and plain `{ errors: { field: message } }`
+     */
+    async parseResponse(response) {
+        let body = {};
+        
+        try {
+            // A literal `null` body parses fine but has no fields to read
+            body = (await response.json()) ?? {};
+        } catch (error) {
+            // Non-JSON responses carry no extra information
+        }
+        
+        const fieldErrors = {};
+        const generalErrors = [];
+        
+        if (Array.isArray(body.errors)) {
+            body.errors.forEach(error => {
+                if (error.field) {
+                    fieldErrors[error.field] = error.message;
+                } else if (error.message) {
+                    generalErrors.push(error.message);
+                }
+            });
+        } else if (body.errors && typeof body.errors === 'object') {
+            Object.assign(fieldErrors, body.errors);
+        }
+        
+        return {
+            message: body.message || body.error || generalErrors.join(' ') || '',
+            fieldErrors
+        };
+    }
+}
+
+class JsonTransport extends HttpTransport {
+    get name() {
+        return 'json';
+    }
+    
+    encode(data) {
+        return { body: JSON.stringify(data), contentType: 'application/json' };
+    }
+}
+
+class UrlEncodedTransport extends HttpTransport {
+    get name() {
+        return 'urlencoded';
+    }
+    
+    encode(data) {
+        return {
+            body: new URLSearchParams(data).toString(),
+            contentType: 'application/x-www-form-urlencoded'
+        };
+    }
+}
+
+/**
+ * Last-resort transport handing the message to the visitor's mail client
+ */
+class MailtoTransport {
+    constructor(address = CONFIG.CONTACT_EMAIL) {
+        this.address = address;
+    }
+    
+    get name() {
+        return 'mailto';
+    }
+    
+    async send(data) {
+        const subject = encodeURIComponent(data.subject || 'Portfolio enquiry');
+        const body = encodeURIComponent(
+            `${data.message || ''}\n\n— ${data.name || ''} <${data.email || ''}>`
+        );
+        
+        window.location.href = `mailto:${this.address}?subject=${subject}&body=${body}`;
+        return { transport: this.name, message: '' };
+    }
+}
+
+const SUBMISSION_TRANSPORTS = {
+    json: JsonTransport,
+    urlencoded: UrlEncodedTransport,
+    mailto: MailtoTransport
+};
+
+/**
+ * Messages waiting to be sent while the visitor is offline, persisted in
+ * localStorage so they survive a reload
+ */
+class SubmissionOutbox {
+    constructor(storageKey = CONFIG.FORM_OUTBOX_KEY, limit = CONFIG.FORM_OUTBOX_LIMIT) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.flushing = false;
+    }
+    
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    write(entries) {
+        try {
+            if (entries.length) {
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+            return true;
+        } catch (error) {
+            console.warn('Outbox could not be saved:', error);
+            return false;
+        }
+    }
+    
+    add(data) {
+        const entries = this.read();
+        entries.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, data, queuedAt: Date.now() });
+        return this.write(entries.slice(-this.limit));
+    }
+    
+    get size() {
+        return this.read().length;
+    }
+    
+    /**
+     * Try to deliver every queued message; entries that still fail with a
+     * retryable error stay queued. Returns the number of messages delivered,
+     * or 0 straight away while another flush is still running.
+     */
+    async flush(send) {
+        if (this.flushing) return 0;
+        this.flushing = true;
+        
+        const finished = new Set();
+        let delivered = 0;
+        
+        try {
+            for (const entry of this.read()) {
+                try {
+                    await send(entry.data);
+                    delivered++;
+                    finished.add(entry.id);
+                } catch (error) {
+                    if (!error.retryable) {
+                        console.error('Dropping undeliverable queued message:', error);
+                        finished.add(entry.id);
+                    }
+                }
+            }
+        } finally {
+            // Re-read so messages queued while sending are kept
+            this.write(this.read().filter(entry => !finished.has(entry.id)));
+            this.flushing = false;
+        }
+        
+        return delivered;
+    }
+}
+
+/**
+ * Delivers contact messages through the configured transport with timeout,
+ * retry with exponential backoff, an optional fallback transport and an
+ * offline outbox
+ */
+class ContactSubmitter {
+    constructor(options = {}) {
+        this.transport = this.createTransport(options.transport || CONFIG.FORM_TRANSPORT);
+        this.fallback = (options.fallback || CONFIG.FORM_FALLBACK_TRANSPORT)
+            ? this.createTransport(options.fallback || CONFIG.FORM_FALLBACK_TRANSPORT)
+            : null;
+        this.timeout = options.timeout || CONFIG.FORM_TIMEOUT;
+        this.retries = options.retries ?? CONFIG.FORM_RETRIES;
+        this.retryDelay = options.retryDelay || CONFIG.FORM_RETRY_DELAY;
+        this.outbox = options.outbox || new SubmissionOutbox();
+    }
+    
+    createTransport(name) {
+        const Transport = SUBMISSION_TRANSPORTS[name];
+        if (!Transport) {
+            throw new Error(`Unknown form transport "${name}"`);
+        }
+        return new Transport();
+    }
+    
+    /**
+     * Resolves with `{ status: 'sent' | 'queued', transport, message }`,
+     * rejects with a SubmissionError when the message was refused
+     */
+    async submit(data) {
+        if (!navigator.onLine && this.outbox.add(data)) {
+            return { status: 'queued', transport: null, message: '' };
+        }
+        
+        try {
+            return { status: 'sent', ...(await this.sendWithRetry(data)) };
+        } catch (error) {
+            if (!error.retryable) throw error;
+            
+            // Connection dropped while sending: keep the message for later
+            if (!navigator.onLine && this.outbox.add(data)) {
+                return { status: 'queued', transport: null, message: '' };
+            }
+            
+            if (this.fallback) {
+                return { status: 'sent', ...(await this.fallback.send(data)) };
+            }
+            
+            throw error;
+        }
+    }
+    
+    async sendWithRetry(data) {
+        let attempt = 0;
+        
+        while (true) {
+            try {
+                return await this.sendWithTimeout(data);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) throw error;
+                
+                const delay = this.retryDelay * Math.pow(2, attempt) + random(0, this.retryDelay / 2);
+                attempt++;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+    
+    async sendWithTimeout(data) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        
+        try {
+            return await this.transport.send(data, { signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Resend queued messages through the primary transport only; the mailto
+     * fallback needs the visitor present and is never used for the outbox
+     */
+    flushOutbox() {
+        return this.outbox.flush(data => this.sendWithRetry(data));
+    }
+}
+
+// ============================================
+// SPAM PROTECTION
+// ============================================
+
+/**
+ * Client-side abuse checks for the contact form: honeypot field, minimum
+ * time-to-submit, per-browser rate limiting and an optional challenge token
+ */
+class SpamGuard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.honeypotField = options.honeypotField || CONFIG.SPAM_HONEYPOT_FIELD;
+        this.minSubmitTime = options.minSubmitTime ?? CONFIG.SPAM_MIN_SUBMIT_TIME;
+        this.rateLimit = options.rateLimit || CONFIG.SPAM_RATE_LIMIT;
+        this.storageKey = options.storageKey || CONFIG.SPAM_STORAGE_KEY;
+        this.renderedAt = performance.now();
+    }
+    
+    /**
+     * Register a function producing a proof-of-work or challenge token for a
+     * payload, e.g. a Turnstile or hCaptcha response. It may return a promise.
+     */
+    static setChallengeProvider(provider) {
+        SpamGuard.challengeProvider = provider;
+    }
+    
+    /**
+     * Returns `{ allowed: true }` or `{ allowed: false, reason }`
+     */
+    check(data) {
+        if (data[this.honeypotField]) {
+            return { allowed: false, reason: 'honeypot' };
+        }
+        
+        if (performance.now() - this.renderedAt < this.minSubmitTime) {
+            return { allowed: false, reason: 'too_fast' };
+        }
+        
+        if (this.recentSubmissions().length >= this.rateLimit.max) {
+            return { allowed: false, reason: 'rate_limited' };
+        }
+        
+        return { allowed: true };
+    }
+    
+    /**
+     * Strip the honeypot from the payload and attach the challenge token
+     */
+    async prepare(data) {
+        const payload = { ...data };
+        delete payload[this.honeypotField];
+        
+        if (SpamGuard.challengeProvider) {
+            payload[CONFIG.SPAM_CHALLENGE_FIELD] = await SpamGuard.challengeProvider(payload);
+        }
+        
+        return payload;
+    }
+    
+    recentSubmissions() {
+        const cutoff = Date.now() - this.rateLimit.window;
+        
+        try {
+            const timestamps = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return timestamps.filter(time => time > cutoff);
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    recordSubmission() {
+        const timestamps = [...this.recentSubmissions(), Date.now()];
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(timestamps));
+        } catch (error) {
+            // Storage unavailable: rate limiting degrades to no limit
+        }
+    }
+}
+
+SpamGuard.challengeProvider = null;
+
+// ============================================
+// CONTACT FORM
+// ============================================
+
+// English status messages, used when no catalogue could be loaded
+const CONTACT_MESSAGES = {
+    fixFields: 'Please correct the highlighted fields and try again.',
+    offline: 'You appear to be offline. Your message has been saved and will be sent when you reconnect.',
+    mailto: 'Your email app has been opened so you can send the message directly.',
+    sent: "Message sent successfully! I'll get back to you soon.",
+    rejected: 'Your message could not be sent right now. Please try again later.',
+    failedWithReason: 'Sorry, your message could not be sent: {reason}',
+    failed: 'Sorry, there was an error sending your message. Please try again.',
+    outboxSentOne: 'Your saved message has now been sent.',
+    outboxSentMany: '{count} saved messages have now been sent.'
+};
+
+class ContactForm extends Component {
+    constructor() {
+        super();
+        this.form = document.getElementById('contactForm');
+        this.submitButton = document.querySelector('.btn-submit');
+        this.isSubmitting = false;
+        this.submitter = new ContactSubmitter();
+        this.spamGuard = new SpamGuard(this.form);
+        this.validator = new FormValidator(this.form);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.form) return;
+        
+        this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+        this.addFormValidation();
+        this.addFormAnimations();
+        
+        // Resend anything queued while offline
+        this.listen(window, 'online', () => this.flushOutbox());
+        if (navigator.onLine) {
+            this.flushOutbox();
+        }
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        if (this.isSubmitting) return;
+        
+        const formData = new FormData(this.form);
+        const data = Object.fromEntries(formData);
+        
+        if (!(await this.validateForm())) {
+            this.showMessage(i18n.t('messages.fixFields', {}, CONTACT_MESSAGES.fixFields), 'error');
+            return;
+        }
+        
+        const verdict = this.spamGuard.check(data);
+        if (!verdict.allowed) {
+            this.rejectSubmission(verdict.reason);
+            return;
+        }
+        
+        this.setSubmitting(true);
+        
+        try {
+            let payload;
+            try {
+                payload = await this.spamGuard.prepare(data);
+            } catch (error) {
+                console.error('Challenge provider failed:', error);
+                this.rejectSubmission('challenge_failed');
+                return;
+            }
+            
+            const result = await this.submitter.submit(payload);
+            this.spamGuard.recordSubmission();
+            this.form.reset();
+            
+            if (result.status === 'queued') {
+                this.showMessage(i18n.t('messages.offline', {}, CONTACT_MESSAGES.offline), 'info');
+            } else if (result.transport === 'mailto') {
+                this.showMessage(i18n.t('messages.mailto', {}, CONTACT_MESSAGES.mailto), 'info');
+            } else {
+                this.showMessage(result.message || i18n.t('messages.sent', {}, CONTACT_MESSAGES.sent), 'success');
+            }
+        } catch (error) {
+            console.error('Form submission error:', error);
+            this.handleSubmissionError(error);
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+    
+    rejectSubmission(reason) {
+        // Deliberately vague so bots learn nothing about which check failed
+        this.showMessage(i18n.t('messages.rejected', {}, CONTACT_MESSAGES.rejected), 'error');
+        window.analytics?.track('contact_rejected', { reason });
+    }
+    
+    handleSubmissionError(error) {
+        const fieldErrors = Object.entries(error.fieldErrors || {});
+        
+        fieldErrors.forEach(([name, message]) => {
+            const field = this.form.elements.namedItem(name);
+            if (field) {
+                this.showFieldError(field, message);
+            }
+        });
+        
+        if (fieldErrors.length) {
+            this.showMessage(i18n.t('messages.fixFields', {}, CONTACT_MESSAGES.fixFields), 'error');
+        } else {
+            this.showMessage(
+                error.status && error.message
+                    ? i18n.t('messages.failedWithReason', { reason: error.message }, CONTACT_MESSAGES.failedWithReason)
+                    : i18n.t('messages.failed', {}, CONTACT_MESSAGES.failed),
+                'error'
+            );
+        }
+    }
+    
+    async flushOutbox() {
+        if (!this.submitter.outbox.size) return;
+        
+        const delivered = await this.submitter.flushOutbox();
+        if (delivered) {
+            this.showMessage(
+                delivered === 1
+                    ? i18n.t('messages.outboxSentOne', {}, CONTACT_MESSAGES.outboxSentOne)
+                    : i18n.t('messages.outboxSentMany', { count: i18n.formatNumber(delivered) }, CONTACT_MESSAGES.outboxSentMany),
+                'success'
+            );
+        }
+    }
+    
+    async validateForm() {
+        const errors = await this.validator.validate();
+        
+        this.validator.fields.forEach(field => {
+            const error = errors.find(result => result.field === field);
+            if (error) {
+                this.showFieldError(field, error.message, false);
+            } else {
+                this.clearFieldError(field);
+            }
+        });
+        
+        if (errors.length) {
+            errors[0].field.focus();
+            window.announceToScreenReader?.(
+                `${errors.length} ${errors.length === 1 ? 'field needs' : 'fields need'} attention. ` +
+                errors.map(({ field, message }) => `${this.getFieldLabel(field)}: ${message}`).join('. ')
+            );
+        }
+        
+        return errors.length === 0;
+    }
+    
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        this.submitButton.classList.toggle('loading', isSubmitting);
+        this.submitButton.disabled = isSubmitting;
+    }
+    
+    showMessage(message, type) {
+        // Create message element
+        const messageElement = document.createElement('div');
+        messageElement.className = `form-message ${type}`;
+        messageElement.textContent = message;
+        messageElement.style.cssText = `
+            position: fixed;
+            top: 100px;
+            right: 20px;
+            background: ${{ success: '#4caf50', info: '#2196f3' }[type] || '#f44336'};
+            color: white;
+            padding: 1rem 1.5rem;
+            border-radius: 0.5rem;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+            z-index: 10000;
+            transform: translateX(400px);
+            transition: transform 0.3s ease;
+        `;
+        
+        document.body.appendChild(messageElement);
+        
+        // Animate in
+        setTimeout(() => {
+            messageElement.style.transform = 'translateX(0)';
+        }, 100);
+        
+        // Remove after delay
+        setTimeout(() => {
+            messageElement.style.transform = 'translateX(400px)';
+            setTimeout(() => {
+                document.body.removeChild(messageElement);
+            }, 300);
+        }, 4000);
+    }
+    
+    addFormValidation() {
+        // Validation messages are rendered by FormValidator, not the browser
+        this.form.noValidate = true;
+        
+        this.validator.fields.forEach(input => {
+            this.listen(input, 'blur', () => {
+                this.validateField(input);
+            });
+            
+            this.listen(input, 'input', () => {
+                this.clearFieldError(input);
+            });
+        });
+    }
+    
+    async validateField(field) {
+        const value = field.value;
+        const message = await this.validator.validateField(field);
+        
+        // Ignore results for input that changed while async rules ran
+        if (field.value !== value) return null;
+        
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+        
+        this.clearFieldError(field);
+        return true;
+    }
+    
+    getFieldLabel(field) {
+        const label = this.form.querySelector(`label[for="${field.id}"]`);
+        return label ? label.textContent.replace('*', '').trim() : field.name;
+    }
+    
+    showFieldError(field, message, announce = true) {
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        
+        let errorElement = field.parentNode.querySelector('.field-error');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.id = `${field.id || field.name}-error`;
+            errorElement.style.cssText = `
+                color: #f44336;
+                font-size: 0.75rem;
+                margin-top: 0.25rem;
+                opacity: 0;
+                transition: opacity 0.3s ease;
+            `;
+            field.parentNode.appendChild(errorElement);
+        }
+        
+        field.setAttribute('aria-describedby', errorElement.id);
+        errorElement.textContent = message;
+        setTimeout(() => {
+            errorElement.style.opacity = '1';
+        }, 10);
+        
+        if (announce) {
+            window.announceToScreenReader?.(`${this.getFieldLabel(field)}: ${message}`);
+        }
+    }
+    
+    clearFieldError(field) {
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        field.removeAttribute('aria-describedby');
+        
+        const errorElement = field.parentNode.querySelector('.field-error');
+        if (errorElement) {
+            errorElement.style.opacity = '0';
+            setTimeout(() => {
+                // The field may have failed again while fading out
+                if (!field.classList.contains('error')) {
+                    errorElement.remove();
+                }
+            }, 300);
+        }
+    }
+    
+    addFormAnimations() {
+        const formGroups = this.form.querySelectorAll('.form-group');
+        
+        formGroups.forEach((group, index) => {
+            const input = group.querySelector('input, textarea');
+            const label = group.querySelector('label');
+            
+            if (input && label) {
+                this.listen(input, 'focus', () => {
+                    group.classList.add('focused');
+                });
+                
+                this.listen(input, 'blur', () => {
+                    if (!input.value) {
+                        group.classList.remove('focused');
+                    }
+                });
+            }
+        });
+    }
+}
+
+// ============================================
+// SCROLL ANIMATIONS
+// ============================================
+
+class ScrollAnimations extends Component {
+    constructor() {
+        super();
+        this.elements = document.querySelectorAll('[data-aos]');
+        this.init();
+    }
+    
+    init() {
+        // Additional scroll-triggered animations
+        this.subscribe('scroll', (state) => this.handleScrollEffects(state));
+        this.listen(document, 'portfolioMotionChange', () => {
+            if (motion.reduced) this.resetScrollEffects();
         });
+        
+        // Smooth reveal animations for elements without AOS
+        this.initCustomAnimations();
     }
     
-    animate() {
-        this.particles.forEach(particle => {
-            // Update position
-            particle.x += particle.speedX;
-            particle.y += particle.speedY;
-            
-            // Bounce off walls
-            if (particle.x <= 0 || particle.x >= this.container.offsetWidth) {
-                particle.speedX *= -1;
-            }
-            if (particle.y <= 0 || particle.y >= this.container.offsetHeight) {
-                particle.speedY *= -1;
+    handleScrollEffects({ scrollY, viewportHeight }) {
+        if (motion.reduced) return;
+        
+        const heroSection = document.querySelector('.hero');
+        const projectImages = document.querySelectorAll('.project-image');
+        
+        // Read every image position first, then write all transforms
+        const scales = [];
+        projectImages.forEach(image => {
+            if (isElementInViewport(image, 0.2)) {
+                const rect = image.getBoundingClientRect();
+                const scrollProgress = Math.max(0, Math.min(1, 
+                    1 - rect.top / viewportHeight
+                ));
+                scales.push([image, 1 + scrollProgress * 0.1]);
             }
-            
-            // Keep particles in bounds
-            particle.x = Math.max(0, Math.min(particle.x, this.container.offsetWidth));
-            particle.y = Math.max(0, Math.min(particle.y, this.container.offsetHeight));
-            
-            // Mouse interaction
-            const dx = this.mouse.x - particle.x;
-            const dy = this.mouse.y - particle.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance < 100) {
-                const angle = Math.atan2(dy, dx);
-                particle.speedX -= Math.cos(angle) * 0.1;
-                particle.speedY -= Math.sin(angle) * 0.1;
+        });
+        
+        scheduler.mutate(() => {
+            // Parallax effect for hero background
+            if (heroSection) {
+                const parallaxSpeed = 0.5;
+                heroSection.style.transform = `translateY(${scrollY * parallaxSpeed}px)`;
             }
             
-            // Update element position
-            if (particle.element) {
-                particle.element.style.transform = `translate(${particle.x}px, ${particle.y}px)`;
-            }
+            // Scale effect for project images
+            scales.forEach(([image, scale]) => {
+                image.style.transform = `scale(${scale})`;
+            });
+        });
+    }
+    
+    resetScrollEffects() {
+        scheduler.mutate(() => {
+            const heroSection = document.querySelector('.hero');
+            if (heroSection) heroSection.style.transform = '';
+            document.querySelectorAll('.project-image').forEach(image => {
+                image.style.transform = '';
+            });
+        });
+    }
+    
+    initCustomAnimations() {
+        // Fade in elements on scroll
+        const fadeElements = document.querySelectorAll('.fade-in');
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('visible');
+                }
+            });
+        }, {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
         });
         
-        animationFrameId = requestAnimationFrame(() => this.animate());
+        fadeElements.forEach(element => {
+            observer.observe(element);
+        });
+        this.addDisposer(() => observer.disconnect());
     }
     
     destroy() {
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
+        super.destroy();
+        this.resetScrollEffects();
+    }
+}
+
+// ============================================
+// THEME MANAGER
+// ============================================
+
+// Labels are the English fallbacks for the catalogue keys
+const THEMES = {
+    light: { label: 'Light', key: 'theme.light', icon: 'fa-sun' },
+    dark: { label: 'Dark', key: 'theme.dark', icon: 'fa-moon' },
+    'high-contrast': { label: 'High contrast', key: 'theme.highContrast', icon: 'fa-circle-half-stroke' }
+};
+
+// English toggle text, used when no catalogue could be loaded
+const THEME_MESSAGES = {
+    system: 'System ({theme})',
+    current: 'Theme: {theme}',
+    toggle: 'Theme: {theme}. Click to change.'
+};
+
+/**
+ * Switches between the light, dark and high-contrast themes by setting
+ * `data-theme` on <html>; the colours themselves live in styles.css.
+ * The "system" preference follows prefers-color-scheme and prefers-contrast.
+ */
+class ThemeManager extends Component {
+    constructor() {
+        super();
+        this.root = document.documentElement;
+        this.toggle = document.getElementById('theme-toggle');
+        this.darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+        this.preference = this.loadPreference();
+        
+        this.init();
+    }
+    
+    init() {
+        this.apply();
+        
+        this.listen(this.toggle, 'click', () => this.cycle());
+        this.listen(document, 'portfolioLanguageChange', () => this.updateToggle());
+        
+        const handleSystemChange = () => {
+            if (this.preference === 'system') this.apply();
+        };
+        this.listen(this.darkQuery, 'change', handleSystemChange);
+        this.listen(this.contrastQuery, 'change', handleSystemChange);
+    }
+    
+    get theme() {
+        if (this.preference !== 'system') return this.preference;
+        if (this.contrastQuery.matches) return 'high-contrast';
+        return this.darkQuery.matches ? 'dark' : 'light';
+    }
+    
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(CONFIG.THEME_STORAGE_KEY);
+            return THEMES[stored] ? stored : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+    
+    setPreference(preference) {
+        if (preference !== 'system' && !THEMES[preference]) {
+            throw new Error(`Unknown theme "${preference}"`);
         }
-        this.particles.forEach(particle => {
-            if (particle.element && particle.element.parentNode) {
-                particle.element.parentNode.removeChild(particle.element);
+        
+        this.preference = preference;
+        
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(CONFIG.THEME_STORAGE_KEY);
+            } else {
+                localStorage.setItem(CONFIG.THEME_STORAGE_KEY, preference);
             }
-        });
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this visit only
+        }
+        
+        this.apply();
+    }
+    
+    /**
+     * Step through system → light → dark → high contrast
+     */
+    cycle() {
+        const order = ['system', ...Object.keys(THEMES)];
+        const next = order[(order.indexOf(this.preference) + 1) % order.length];
+        
+        this.setPreference(next);
+        window.announceToScreenReader?.(i18n.t('theme.current', { theme: this.getLabel() }, THEME_MESSAGES.current));
+    }
+    
+    getLabel() {
+        const { label, key } = THEMES[this.theme];
+        const name = i18n.t(key, {}, label);
+        return this.preference === 'system' ? i18n.t('theme.system', { theme: name }, THEME_MESSAGES.system) : name;
+    }
+    
+    apply() {
+        const theme = this.theme;
+        this.root.dataset.theme = theme;
+        this.updateToggle();
+        
+        document.dispatchEvent(new CustomEvent('portfolioThemeChange', {
+            detail: { theme, preference: this.preference }
+        }));
     }
+    
+    updateToggle() {
+        if (!this.toggle) return;
+        
+        const icon = this.toggle.querySelector('i');
+        if (icon) {
+            icon.className = `fas ${this.preference === 'system' ? 'fa-desktop' : THEMES[this.theme].icon}`;
+        }
+        this.toggle.setAttribute('aria-label', i18n.t('theme.toggle', { theme: this.getLabel() }, THEME_MESSAGES.toggle));
+        this.toggle.title = i18n.t('theme.current', { theme: this.getLabel() }, THEME_MESSAGES.current);
+    }
+}
+
+/**
+ * Read a colour custom property from the active theme, for code that
+ * cannot use var() directly (e.g. canvas drawing)
+ */
+function getThemeColor(property) {
+    return getComputedStyle(document.documentElement).getPropertyValue(property).trim();
 }
 
 // ============================================
-// SKILLS SECTION
+// PERFORMANCE OPTIMIZATIONS
 // ============================================
 
-class SkillsSection {
+// English update notice text, used when no catalogue could be loaded
+const UPDATE_NOTICE_MESSAGES = {
+    available: 'Update available',
+    reload: 'Reload',
+    dismiss: 'Dismiss'
+};
+
+class PerformanceOptimizer extends Component {
     constructor() {
-        this.skillBars = document.querySelectorAll('.skill-progress');
-        this.chartCircles = document.querySelectorAll('.chart-circle');
-        this.animated = false;
+        super();
+        this.init();
+    }
+    
+    init() {
+        this.preloadCriticalResources();
+        this.setupServiceWorker();
+    }
+    
+    preloadCriticalResources() {
+        // Preload critical fonts and resources
+        const criticalResources = [
+            'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700;800&display=swap',
+            'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+        ];
+        
+        criticalResources.forEach(resource => {
+            if (document.head.querySelector(`link[rel="preload"][href="${resource}"]`)) return;
+            
+            const link = document.createElement('link');
+            link.rel = 'preload';
+            link.href = resource;
+            link.as = 'style';
+            document.head.appendChild(link);
+        });
+    }
+    
+    setupServiceWorker() {
+        // Register service worker for offline caching
+        if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
+            navigator.serviceWorker.register('sw.js')
+                .then(registration => {
+                    console.log('SW registered:', registration);
+                    this.watchForUpdates(registration);
+                })
+                .catch(error => {
+                    console.log('SW registration failed:', error);
+                });
+        }
+    }
+    
+    watchForUpdates(registration) {
+        // Only an update when a previous worker already controls the page
+        if (!navigator.serviceWorker.controller) return;
+        
+        if (registration.waiting) {
+            this.showUpdateNotice(registration.waiting);
+        }
+        
+        this.listen(registration, 'updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed') {
+                    this.showUpdateNotice(worker);
+                }
+            });
+        });
+        
+        let reloading = false;
+        this.listen(navigator.serviceWorker, 'controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+    }
+    
+    showUpdateNotice(worker) {
+        if (document.querySelector('.update-notice')) return;
+        
+        const notice = document.createElement('div');
+        notice.className = 'update-notice';
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = `
+            <span data-i18n="update.available">${escapeHTML(i18n.t('update.available', {}, UPDATE_NOTICE_MESSAGES.available))}</span>
+            <button type="button" class="update-reload" data-i18n="update.reload">${escapeHTML(i18n.t('update.reload', {}, UPDATE_NOTICE_MESSAGES.reload))}</button>
+            <button type="button" class="update-dismiss" aria-label="${escapeHTML(i18n.t('update.dismiss', {}, UPDATE_NOTICE_MESSAGES.dismiss))}" data-i18n-attr="aria-label:update.dismiss">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        `;
+        
+        notice.querySelector('.update-reload').addEventListener('click', () => {
+            // The page reloads on controllerchange once the new worker activates
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        
+        notice.querySelector('.update-dismiss').addEventListener('click', () => {
+            notice.classList.remove('visible');
+            this.setTimeout(() => notice.remove(), 300);
+        });
         
+        document.body.appendChild(notice);
+        this.setTimeout(() => notice.classList.add('visible'), 100);
+    }
+    
+    destroy() {
+        super.destroy();
+        document.querySelector('.update-notice')?.remove();
+    }
+}
+
+// ============================================
+// ACCESSIBILITY FEATURES
+// ============================================
+
+class AccessibilityEnhancer extends Component {
+    constructor() {
+        super();
         this.init();
     }
     
     init() {
-        window.addEventListener('scroll', throttle(() => {
-            if (!this.animated && this.isSkillsSectionVisible()) {
-                this.animateSkills();
-                this.animateCharts();
-                this.animated = true;
-            }
-        }, 100));
+        this.setupKeyboardNavigation();
+        this.setupFocusManagement();
+        this.setupScreenReaderSupport();
+        this.setupReducedMotion();
     }
     
-    isSkillsSectionVisible() {
-        const skillsSection = document.getElementById('skills');
-        return skillsSection && isElementInViewport(skillsSection, 0.3);
+    setupKeyboardNavigation() {
+        // Skip to main content link
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main-content';
+        skipLink.textContent = 'Skip to main content';
+        skipLink.className = 'skip-link';
+        skipLink.style.cssText = `
+            position: fixed;
+            top: -100px;
+            left: 0;
+            background: var(--primary-color);
+            color: var(--on-primary);
+            padding: 8px 16px;
+            text-decoration: none;
+            z-index: 10001;
+            transition: top 0.3s;
+        `;
+        
+        this.listen(skipLink, 'focus', () => {
+            skipLink.style.top = '0';
+        });
+        
+        this.listen(skipLink, 'blur', () => {
+            skipLink.style.top = '-100px';
+        });
+        
+        document.body.insertBefore(skipLink, document.body.firstChild);
+        this.addDisposer(() => skipLink.remove());
+        
+        // Enhanced keyboard navigation for interactive elements
+        const interactiveElements = document.querySelectorAll(
+            'button, a, input, textarea, select, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        interactiveElements.forEach(element => {
+            this.listen(element, 'keydown', (e) => {
+                if (e.key === 'Enter' && element.tagName === 'A') {
+                    element.click();
+                }
+            });
+        });
     }
     
-    animateSkills() {
-        this.skillBars.forEach((bar, index) => {
-            const progress = bar.getAttribute('data-progress');
+    setupFocusManagement() {
+        // Visible focus indicators
+        const style = document.createElement('style');
+        style.textContent = `
+            *:focus {
+                outline: 2px solid var(--focus-ring-color) !important;
+                outline-offset: 2px !important;
+            }
             
-            setTimeout(() => {
-                bar.style.width = `${progress}%`;
-                
-                // Add shimmer effect
-                bar.classList.add('animating');
-                setTimeout(() => {
-                    bar.classList.remove('animating');
-                }, 2000);
-            }, index * 200);
+            .btn:focus {
+                box-shadow: var(--focus-ring-shadow) !important;
+            }
+        `;
+        document.head.appendChild(style);
+        this.addDisposer(() => style.remove());
+    }
+    
+    setupScreenReaderSupport() {
+        // Add ARIA labels where needed; data-i18n-attr keeps them translated
+        i18n.ready.then(() => {
+            const buttons = document.querySelectorAll('button:not([aria-label])');
+            buttons.forEach(button => {
+                if (button.textContent.trim() === '') {
+                    const icon = button.querySelector('i');
+                    if (icon && icon.className) {
+                        const key = this.getAriaLabelKeyFromIcon(icon.className);
+                        button.dataset.i18nAttr = `aria-label:${key}`;
+                        button.setAttribute('aria-label', i18n.t(key));
+                    }
+                }
+            });
+        });
+        
+        // Add live region for dynamic content updates
+        const liveRegion = document.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.style.cssText = `
+            position: absolute;
+            left: -10000px;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+        `;
+        document.body.appendChild(liveRegion);
+        
+        // Store reference for dynamic announcements
+        window.announceToScreenReader = (message) => {
+            liveRegion.textContent = message;
+            this.setTimeout(() => {
+                liveRegion.textContent = '';
+            }, 1000);
+        };
+        
+        this.addDisposer(() => {
+            liveRegion.remove();
+            delete window.announceToScreenReader;
         });
     }
     
-    animateCharts() {
-        this.chartCircles.forEach((circle, index) => {
-            const percentage = circle.getAttribute('data-percentage');
-            
-            setTimeout(() => {
-                // Create animated conic gradient
-                let currentPercentage = 0;
-                const targetPercentage = parseInt(percentage);
-                const duration = 2000;
-                const startTime = performance.now();
-                
-                const updateChart = (currentTime) => {
-                    const elapsed = currentTime - startTime;
-                    const progress = Math.min(elapsed / duration, 1);
-                    currentPercentage = targetPercentage * this.easeOutCubic(progress);
-                    
-                    const angle = (currentPercentage / 100) * 360;
-                    circle.style.background = `conic-gradient(
-                        #1a237e 0deg,
-                        #00695c ${angle}deg,
-                        #e0e0e0 ${angle}deg,
-                        #e0e0e0 360deg
-                    )`;
-                    
-                    if (progress < 1) {
-                        requestAnimationFrame(updateChart);
-                    }
-                };
-                
-                requestAnimationFrame(updateChart);
-            }, index * 300);
-        });
+    setupReducedMotion() {
+        // CSS animations follow <html data-motion>, set by the motion service;
+        // this only wires the visitor's override control
+        this.addDisposer(motion.bindToggle(document.getElementById('motion-toggle')));
     }
     
-    easeOutCubic(t) {
-        return 1 - Math.pow(1 - t, 3);
+    getAriaLabelKeyFromIcon(className) {
+        const iconMap = {
+            'fa-envelope': 'icons.email',
+            'fa-phone': 'icons.phone',
+            'fa-linkedin': 'icons.linkedin',
+            'fa-bars': 'icons.menu',
+            'fa-times': 'icons.close',
+            'fa-arrow-right': 'icons.next',
+            'fa-arrow-left': 'icons.previous'
+        };
+        
+        for (const [iconClass, key] of Object.entries(iconMap)) {
+            if (className.includes(iconClass)) {
+                return key;
+            }
+        }
+        
+        return 'icons.button';
     }
 }
 
 // ============================================
-// CONTACT FORM
+// ERROR HANDLING
 // ============================================
 
-class ContactForm {
-    constructor() {
-        this.form = document.getElementById('contactForm');
-        this.submitButton = document.querySelector('.btn-submit');
-        this.isSubmitting = false;
+/**
+ * Collects runtime errors with their stack, source location, the component
+ * they came from and a trail of recent clicks, navigations and analytics
+ * events. Repeats of the same error only bump a counter. Reports are kept
+ * in a bounded localStorage buffer and, when CONFIG.ERROR_ENDPOINT is set,
+ * uploaded with sendBeacon; anything not yet delivered is retried on the
+ * next visit once the visitor has accepted analytics. Nothing is uploaded
+ * before that, or when their browser sends Do Not Track / Global Privacy
+ * Control.
+ */
+class ErrorReporter {
+    constructor({ endpoint = CONFIG.ERROR_ENDPOINT } = {}) {
+        this.endpoint = endpoint;
+        this.breadcrumbs = [];
+        this.reports = this.loadBuffer();
         
         this.init();
     }
     
     init() {
-        if (!this.form) return;
-        
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        this.addFormValidation();
-        this.addFormAnimations();
-    }
-    
-    async handleSubmit(e) {
-        e.preventDefault();
-        
-        if (this.isSubmitting) return;
+        window.addEventListener('error', (e) => {
+            // Resource load failures (img, script) have no error object
+            if (!e.error && !e.message) return;
+            
+            this.capture(e.error || new Error(e.message), {
+                source: { file: e.filename, line: e.lineno, column: e.colno }
+            });
+        });
         
-        const formData = new FormData(this.form);
-        const data = Object.fromEntries(formData);
+        window.addEventListener('unhandledrejection', (e) => {
+            this.capture(e.reason instanceof Error ? e.reason : new Error(String(e.reason)), {
+                type: 'unhandledrejection'
+            });
+        });
         
-        if (!this.validateForm(data)) {
-            this.showMessage('Please fill in all required fields.', 'error');
-            return;
-        }
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest?.('a, button, input, select, textarea, [role="button"], [data-skills-view]');
+            if (target) this.addBreadcrumb('click', this.describe(target));
+        }, true);
         
-        this.setSubmitting(true);
+        window.addEventListener('hashchange', () => this.addBreadcrumb('navigation', window.location.hash));
+        window.addEventListener('popstate', () => this.addBreadcrumb('navigation', window.location.hash || '/'));
+        window.addEventListener('pagehide', () => this.flush());
         
+        // Deliver whatever an earlier visit could not send
+        window.addEventListener('load', () => this.flush());
+    }
+    
+    /**
+     * Construct a component, reporting (instead of throwing) if it fails so
+     * the remaining components still initialise. Returns null on failure.
+     */
+    guard(component, create) {
         try {
-            // Simulate form submission (replace with actual endpoint)
-            await this.simulateSubmission(data);
-            this.showMessage('Message sent successfully! I\'ll get back to you soon.', 'success');
-            this.form.reset();
+            return create();
         } catch (error) {
-            console.error('Form submission error:', error);
-            this.showMessage('Sorry, there was an error sending your message. Please try again.', 'error');
-        } finally {
-            this.setSubmitting(false);
+            this.capture(error, { component });
+            return null;
         }
     }
     
-    async simulateSubmission(data) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // In a real application, you would send the data to your server
-        console.log('Form data:', data);
-        
-        // Uncomment and configure for actual form submission
-        /*
-        const response = await fetch(CONFIG.FORM_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(data)
-        });
+    addBreadcrumb(category, message, data) {
+        this.breadcrumbs.push({ category, message, ...(data && { data }), timestamp: Date.now() });
         
-        if (!response.ok) {
-            throw new Error('Form submission failed');
+        if (this.breadcrumbs.length > CONFIG.ERROR_BREADCRUMB_LIMIT) {
+            this.breadcrumbs.shift();
         }
-        */
     }
     
-    validateForm(data) {
-        return data.name && data.email && data.subject && data.message;
+    /**
+     * Short label for an element, e.g. `button#theme-toggle` or
+     * `a.nav-link "Projects"`. Field values are never recorded.
+     */
+    describe(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const className = typeof element.className === 'string' && element.className.trim()
+            ? `.${element.className.trim().split(/\s+/)[0]}`
+            : '';
+        const isField = ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName);
+        const text = isField ? '' : element.textContent.replace(/\s+/g, ' ').trim().slice(0, 40);
+        
+        return `${element.tagName.toLowerCase()}${id}${className}${text ? ` "${text}"` : ''}`;
     }
     
-    setSubmitting(isSubmitting) {
-        this.isSubmitting = isSubmitting;
-        this.submitButton.classList.toggle('loading', isSubmitting);
-        this.submitButton.disabled = isSubmitting;
+    capture(error, { component = null, source = null, type = 'error' } = {}) {
+        console.error(component ? `Portfolio Error in ${component}:` : 'Portfolio Error:', error);
+        
+        try {
+            const stack = error?.stack || '';
+            const location = source?.file ? source : this.parseLocation(stack);
+            const fingerprint = [error?.name, error?.message, location?.file, location?.line, component].join('|');
+            const existing = this.reports.find(report => report.fingerprint === fingerprint);
+            
+            if (existing) {
+                existing.count++;
+                existing.lastSeen = Date.now();
+                existing.uploaded = false;
+            } else {
+                this.reports.push({
+                    schema: 'portfolio.error/1',
+                    id: createId(),
+                    fingerprint,
+                    type,
+                    name: error?.name || 'Error',
+                    message: String(error?.message || error),
+                    stack,
+                    source: location,
+                    component,
+                    breadcrumbs: this.breadcrumbs.slice(),
+                    count: 1,
+                    firstSeen: Date.now(),
+                    lastSeen: Date.now(),
+                    page: window.location.href,
+                    userAgent: navigator.userAgent,
+                    uploaded: false
+                });
+                
+                // Keep the newest reports within the limit
+                this.reports.splice(0, Math.max(0, this.reports.length - CONFIG.ERROR_BUFFER_LIMIT));
+                
+                // New errors go out straight away; repeat counts follow on pagehide
+                this.saveBuffer();
+                this.flush();
+                return;
+            }
+            
+            this.saveBuffer();
+        } catch (reporterError) {
+            // Never let reporting raise errors of its own
+            console.warn('Error reporter failed:', reporterError);
+        }
     }
     
-    showMessage(message, type) {
-        // Create message element
-        const messageElement = document.createElement('div');
-        messageElement.className = `form-message ${type}`;
-        messageElement.textContent = message;
-        messageElement.style.cssText = `
-            position: fixed;
-            top: 100px;
-            right: 20px;
-            background: ${type === 'success' ? '#4caf50' : '#f44336'};
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: 0.5rem;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-            z-index: 10000;
-            transform: translateX(400px);
-            transition: transform 0.3s ease;
-        `;
-        
-        document.body.appendChild(messageElement);
-        
-        // Animate in
-        setTimeout(() => {
-            messageElement.style.transform = 'translateX(0)';
-        }, 100);
-        
-        // Remove after delay
-        setTimeout(() => {
-            messageElement.style.transform = 'translateX(400px)';
-            setTimeout(() => {
-                document.body.removeChild(messageElement);
-            }, 300);
-        }, 4000);
+    /**
+     * First "file:line:column" in a stack trace
+     */
+    parseLocation(stack) {
+        const match = stack.match(/((?:https?|file):\/\/[^\s)]+):(\d+):(\d+)/);
+        return match ? { file: match[1], line: Number(match[2]), column: Number(match[3]) } : null;
     }
     
-    addFormValidation() {
-        const inputs = this.form.querySelectorAll('input, textarea');
-        
-        inputs.forEach(input => {
-            input.addEventListener('blur', () => {
-                this.validateField(input);
-            });
-            
-            input.addEventListener('input', () => {
-                this.clearFieldError(input);
-            });
-        });
+    get canUpload() {
+        return Boolean(this.endpoint) &&
+            !Analytics.doNotTrack &&
+            window.analytics?.consent === 'granted';
     }
     
-    validateField(field) {
-        const value = field.value.trim();
-        const isValid = field.required ? value !== '' : true;
+    flush() {
+        if (!this.canUpload) return;
         
-        if (field.type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                this.showFieldError(field, 'Please enter a valid email address');
-                return false;
-            }
-        }
+        const pending = this.reports.filter(report => !report.uploaded);
+        if (!pending.length) return;
         
-        if (!isValid) {
-            this.showFieldError(field, 'This field is required');
-            return false;
-        }
+        const body = new Blob([JSON.stringify({
+            schema: 'portfolio.errors/1',
+            sentAt: Date.now(),
+            // The delivery flag is local bookkeeping only
+            errors: pending.map(({ uploaded, ...report }) => report)
+        })], { type: 'application/json' });
         
-        this.clearFieldError(field);
-        return true;
+        if (navigator.sendBeacon?.(this.endpoint, body)) {
+            pending.forEach(report => { report.uploaded = true; });
+            this.saveBuffer();
+        }
     }
     
-    showFieldError(field, message) {
-        field.classList.add('error');
-        
-        let errorElement = field.parentNode.querySelector('.field-error');
-        if (!errorElement) {
-            errorElement = document.createElement('div');
-            errorElement.className = 'field-error';
-            errorElement.style.cssText = `
-                color: #f44336;
-                font-size: 0.75rem;
-                margin-top: 0.25rem;
-                opacity: 0;
-                transition: opacity 0.3s ease;
-            `;
-            field.parentNode.appendChild(errorElement);
+    loadBuffer() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.ERROR_BUFFER_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
         }
-        
-        errorElement.textContent = message;
-        setTimeout(() => {
-            errorElement.style.opacity = '1';
-        }, 10);
     }
     
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const errorElement = field.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.style.opacity = '0';
-            setTimeout(() => {
-                errorElement.remove();
-            }, 300);
+    saveBuffer() {
+        try {
+            localStorage.setItem(CONFIG.ERROR_BUFFER_KEY, JSON.stringify(this.reports));
+        } catch (error) {
+            // Storage full or unavailable: reports last for this visit only
         }
     }
     
-    addFormAnimations() {
-        const formGroups = this.form.querySelectorAll('.form-group');
-        
-        formGroups.forEach((group, index) => {
-            const input = group.querySelector('input, textarea');
-            const label = group.querySelector('label');
-            
-            if (input && label) {
-                input.addEventListener('focus', () => {
-                    group.classList.add('focused');
-                });
-                
-                input.addEventListener('blur', () => {
-                    if (!input.value) {
-                        group.classList.remove('focused');
-                    }
-                });
-            }
-        });
+    clear() {
+        this.reports = [];
+        this.saveBuffer();
     }
 }
 
+const errorReporter = new ErrorReporter();
+
 // ============================================
-// SCROLL ANIMATIONS
+// PERFORMANCE MONITOR
 // ============================================
 
-class ScrollAnimations {
+// Core Web Vitals "good" and "poor" boundaries, for the reported rating
+const VITAL_THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800]
+};
+
+const METRIC_LABELS = {
+    lcp: 'LCP',
+    cls: 'CLS',
+    inp: 'INP',
+    fcp: 'FCP',
+    ttfb: 'TTFB',
+    loadingDelay: 'Loading screen delay'
+};
+
+// Recent scheduler callbacks kept for attributing long frames
+const PROFILE_SAMPLE_LIMIT = 500;
+
+/**
+ * Collects Core Web Vitals with PerformanceObserver and checks them, long
+ * frames and the loading screen's delay against CONFIG.PERFORMANCE_BUDGET.
+ * An exceeded budget is logged once and, when the overlay is enabled,
+ * shown in an on-page panel. Long frames are attributed to the scheduler
+ * callbacks that ran in them (labelled by component, e.g. ParticleSystem
+ * or ScrollSpy) and, with the Long Animation Frames API, to the event
+ * handlers it reports. Dispatches on document:
+ *   portfolioPerformanceMetric  { name, value, rating, budget } once a value is final
+ *   portfolioLongFrames         { count, duration, sources: [{ source, duration }] }
+ *                               when the page is hidden
+ */
+class PerformanceMonitor {
     constructor() {
-        this.elements = document.querySelectorAll('[data-aos]');
+        this.budget = CONFIG.PERFORMANCE_BUDGET;
+        this.metrics = {};
+        this.reported = {};
+        this.warned = new Set();
+        this.samples = [];
+        this.longFrames = { count: 0, duration: 0, sources: new Map() };
+        this.shiftWindow = { value: 0, first: 0, last: 0 };
+        this.interactions = new Map(); // interactionId -> longest event duration
+        this.lcpFinal = false;
+        this.overlay = null;
+        this.overlayQueued = false;
+        this.overlayEnabled = CONFIG.ENABLE_PERFORMANCE_OVERLAY ||
+            new URLSearchParams(window.location.search).has('perf');
+        
         this.init();
     }
     
     init() {
-        // Additional scroll-triggered animations
-        window.addEventListener('scroll', throttle(() => {
-            this.handleScrollEffects();
-        }, 16));
+        this.observeEntries();
         
-        // Smooth reveal animations for elements without AOS
-        this.initCustomAnimations();
-    }
-    
-    handleScrollEffects() {
-        // Parallax effect for hero background
-        const heroSection = document.querySelector('.hero');
-        if (heroSection) {
-            const scrolled = window.pageYOffset;
-            const parallaxSpeed = 0.5;
-            heroSection.style.transform = `translateY(${scrolled * parallaxSpeed}px)`;
+        const navigation = performance.getEntriesByType?.('navigation')[0];
+        if (navigation?.responseStart > 0) {
+            this.update('ttfb', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
+            
+            // Analytics only starts listening at the end of script.js
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this.dispatch('ttfb'), { once: true });
+            } else {
+                setTimeout(() => this.dispatch('ttfb'), 0);
+            }
         }
         
-        // Scale effect for project images
-        const projectImages = document.querySelectorAll('.project-image');
-        projectImages.forEach(image => {
-            if (isElementInViewport(image, 0.2)) {
-                const rect = image.getBoundingClientRect();
-                const scrollProgress = Math.max(0, Math.min(1, 
-                    1 - rect.top / window.innerHeight
-                ));
-                const scale = 1 + scrollProgress * 0.1;
-                image.style.transform = `scale(${scale})`;
-            }
+        // Later paints respond to the visitor, so LCP stops at the first input
+        ['keydown', 'pointerdown'].forEach(type => {
+            window.addEventListener(type, () => this.finalizeLcp(), { once: true, capture: true });
         });
-    }
-    
-    initCustomAnimations() {
-        // Fade in elements on scroll
-        const fadeElements = document.querySelectorAll('.fade-in');
         
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
-                }
-            });
-        }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
+        // Registered before Analytics, so the values make its final flush
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.report();
         });
+        window.addEventListener('pagehide', () => this.report());
         
-        fadeElements.forEach(element => {
-            observer.observe(element);
+        document.addEventListener('portfolioLoadingComplete', (e) => {
+            this.finalize('loadingDelay', e.detail.delay);
+            
+            if (e.detail.timedOut) {
+                this.warn('loadingTimeout', 'the loading screen gave up waiting for the load event');
+            }
         });
     }
-}
-
-// ============================================
-// PERFORMANCE OPTIMIZATIONS
-// ============================================
-
-class PerformanceOptimizer {
-    constructor() {
-        this.init();
-    }
-    
-    init() {
-        this.optimizeImages();
-        this.preloadCriticalResources();
-        this.setupServiceWorker();
-    }
     
-    optimizeImages() {
-        // Lazy load images
-        const images = document.querySelectorAll('img[data-src]');
+    observeEntries() {
+        if (!window.PerformanceObserver) return;
         
-        const imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.classList.remove('lazy');
-                    imageObserver.unobserve(img);
-                }
-            });
+        this.observe('paint', entry => {
+            if (entry.name === 'first-contentful-paint') this.finalize('fcp', entry.startTime);
+        });
+        this.observe('largest-contentful-paint', entry => {
+            if (!this.lcpFinal) this.update('lcp', entry.startTime);
         });
         
-        images.forEach(img => imageObserver.observe(img));
+        if (this.observe('layout-shift', entry => this.recordShift(entry))) {
+            this.metrics.cls = 0;
+        }
+        
+        this.observe('first-input', entry => this.recordInteraction(entry));
+        this.observe('event', entry => this.recordInteraction(entry), { durationThreshold: 40 });
+        
+        // Animation frames also name the scripts that ran; long tasks are the fallback
+        if (this.observe('long-animation-frame', entry => this.recordLongFrame(entry)) ||
+            this.observe('longtask', entry => this.recordLongFrame(entry))) {
+            scheduler.profiler = this;
+        }
     }
     
-    preloadCriticalResources() {
-        // Preload critical fonts and resources
-        const criticalResources = [
-            'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700;800&display=swap',
-            'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
-        ];
+    /**
+     * Observe an entry type, including entries from before the monitor
+     * started. Returns false where the browser does not support it.
+     */
+    observe(type, callback, options = {}) {
+        if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return false;
         
-        criticalResources.forEach(resource => {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            link.href = resource;
-            link.as = 'style';
-            document.head.appendChild(link);
-        });
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback))
+                .observe({ type, buffered: true, ...options });
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
     
-    setupServiceWorker() {
-        // Register service worker for caching (if needed)
-        if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
-            navigator.serviceWorker.register('/sw.js')
-                .then(registration => {
-                    console.log('SW registered:', registration);
-                })
-                .catch(error => {
-                    console.log('SW registration failed:', error);
-                });
+    // ---- Metrics ----
+    
+    update(name, value) {
+        this.metrics[name] = value;
+        
+        if (value > this.budget[name]) {
+            this.warn(name, `${METRIC_LABELS[name]} ${this.format(name, value)} is over its budget of ${this.format(name, this.budget[name])}`);
         }
+        this.renderOverlay();
     }
-}
-
-// ============================================
-// ACCESSIBILITY FEATURES
-// ============================================
-
-class AccessibilityEnhancer {
-    constructor() {
-        this.init();
+    
+    finalize(name, value) {
+        this.update(name, value);
+        this.dispatch(name);
     }
     
-    init() {
-        this.setupKeyboardNavigation();
-        this.setupFocusManagement();
-        this.setupScreenReaderSupport();
-        this.setupReducedMotion();
+    finalizeLcp() {
+        if (this.lcpFinal) return;
+        this.lcpFinal = true;
+        this.dispatch('lcp');
     }
     
-    setupKeyboardNavigation() {
-        // Skip to main content link
-        const skipLink = document.createElement('a');
-        skipLink.href = '#main-content';
-        skipLink.textContent = 'Skip to main content';
-        skipLink.className = 'skip-link';
-        skipLink.style.cssText = `
-            position: fixed;
-            top: -100px;
-            left: 0;
-            background: #1a237e;
-            color: white;
-            padding: 8px 16px;
-            text-decoration: none;
-            z-index: 10001;
-            transition: top 0.3s;
-        `;
+    /**
+     * CLS is the worst burst of unexpected layout shifts: shifts less than
+     * 1s apart, spanning at most 5s
+     */
+    recordShift(entry) {
+        if (entry.hadRecentInput) return;
         
-        skipLink.addEventListener('focus', () => {
-            skipLink.style.top = '0';
-        });
+        const burst = this.shiftWindow;
+        if (burst.value && entry.startTime - burst.last < 1000 && entry.startTime - burst.first < 5000) {
+            burst.value += entry.value;
+        } else {
+            burst.value = entry.value;
+            burst.first = entry.startTime;
+        }
+        burst.last = entry.startTime;
         
-        skipLink.addEventListener('blur', () => {
-            skipLink.style.top = '-100px';
-        });
+        if (burst.value > this.metrics.cls) this.update('cls', burst.value);
+    }
+    
+    /**
+     * INP is the slowest interaction, ignoring one in every 50 so a single
+     * outlier on a long visit does not decide it
+     */
+    recordInteraction(entry) {
+        if (!entry.interactionId) return;
         
-        document.body.insertBefore(skipLink, document.body.firstChild);
+        const longest = this.interactions.get(entry.interactionId) || 0;
+        this.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
         
-        // Enhanced keyboard navigation for interactive elements
-        const interactiveElements = document.querySelectorAll(
-            'button, a, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-        );
+        const durations = [...this.interactions.values()].sort((a, b) => b - a);
+        this.update('inp', durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)]);
+    }
+    
+    // ---- Long frames ----
+    
+    /**
+     * Called by the scheduler for every callback it runs
+     */
+    recordTask(label, start, duration) {
+        if (duration < 1) return;
         
-        interactiveElements.forEach(element => {
-            element.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && element.tagName === 'A') {
-                    element.click();
-                }
-            });
+        this.samples.push({ label, start, duration });
+        if (this.samples.length > PROFILE_SAMPLE_LIMIT) this.samples.shift();
+    }
+    
+    recordLongFrame(entry) {
+        const end = entry.startTime + entry.duration;
+        const sources = new Map();
+        const add = (source, duration) => sources.set(source, (sources.get(source) || 0) + duration);
+        
+        this.samples
+            .filter(sample => sample.start >= entry.startTime && sample.start < end)
+            .forEach(sample => add(sample.label, sample.duration));
+        
+        // The scheduler's own frame shows up as FrameRequestCallback, split up above
+        (entry.scripts || [])
+            .filter(script => script.invoker !== 'FrameRequestCallback')
+            .forEach(script => add(script.invoker || script.sourceFunctionName || 'script', script.duration));
+        
+        // Style, layout, paint and anything the browser could not attribute
+        const attributed = [...sources.values()].reduce((sum, duration) => sum + duration, 0);
+        if (entry.duration > attributed) add('other', entry.duration - attributed);
+        
+        sources.forEach((duration, source) => {
+            this.longFrames.sources.set(source, (this.longFrames.sources.get(source) || 0) + duration);
         });
+        this.longFrames.count++;
+        this.longFrames.duration += entry.duration;
+        
+        if (entry.duration > this.budget.longFrame) {
+            const [source, duration] = [...sources].sort((a, b) => b[1] - a[1])[0];
+            this.warn(`longFrame:${source}`, `a ${Math.round(entry.duration)}ms frame is over the ${this.budget.longFrame}ms budget, ${Math.round(duration)}ms of it in ${source}`);
+        }
+        this.renderOverlay();
     }
     
-    setupFocusManagement() {
-        // Visible focus indicators
-        const style = document.createElement('style');
-        style.textContent = `
-            *:focus {
-                outline: 2px solid #1a237e !important;
-                outline-offset: 2px !important;
-            }
-            
-            .btn:focus {
-                box-shadow: 0 0 0 3px rgba(26, 35, 126, 0.3) !important;
-            }
-        `;
-        document.head.appendChild(style);
+    topSources(limit = 5) {
+        return [...this.longFrames.sources]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([source, duration]) => ({ source, duration: Math.round(duration) }));
     }
     
-    setupScreenReaderSupport() {
-        // Add ARIA labels where needed
-        const buttons = document.querySelectorAll('button:not([aria-label])');
-        buttons.forEach(button => {
-            if (button.textContent.trim() === '') {
-                const icon = button.querySelector('i');
-                if (icon && icon.className) {
-                    button.setAttribute('aria-label', this.getAriaLabelFromIcon(icon.className));
-                }
+    // ---- Reporting ----
+    
+    rate(name, value) {
+        const [good, poor] = VITAL_THRESHOLDS[name] || [this.budget[name], this.budget[name]];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+    
+    format(name, value) {
+        return name === 'cls' ? value.toFixed(3) : `${Math.round(value)}ms`;
+    }
+    
+    dispatch(name) {
+        const value = this.metrics[name];
+        if (value === undefined || this.reported[name] === value) return;
+        this.reported[name] = value;
+        
+        document.dispatchEvent(new CustomEvent('portfolioPerformanceMetric', {
+            detail: {
+                name,
+                value: name === 'cls' ? Number(value.toFixed(4)) : Math.round(value),
+                rating: this.rate(name, value),
+                budget: this.budget[name]
             }
-        });
+        }));
+    }
+    
+    /**
+     * Send what is final by the time the page is hidden; runs again if the
+     * visitor comes back and values change
+     */
+    report() {
+        this.finalizeLcp();
+        this.dispatch('ttfb');
+        this.dispatch('cls');
+        this.dispatch('inp');
         
-        // Add live region for dynamic content updates
-        const liveRegion = document.createElement('div');
-        liveRegion.setAttribute('aria-live', 'polite');
-        liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.style.cssText = `
-            position: absolute;
-            left: -10000px;
-            width: 1px;
-            height: 1px;
-            overflow: hidden;
-        `;
-        document.body.appendChild(liveRegion);
+        const { count, duration } = this.longFrames;
+        if (count && this.reported.longFrames !== count) {
+            this.reported.longFrames = count;
+            document.dispatchEvent(new CustomEvent('portfolioLongFrames', {
+                detail: { count, duration: Math.round(duration), sources: this.topSources() }
+            }));
+        }
+    }
+    
+    warn(key, message) {
+        if (this.warned.has(key)) return;
+        this.warned.add(key);
         
-        // Store reference for dynamic announcements
-        window.announceToScreenReader = (message) => {
-            liveRegion.textContent = message;
-            setTimeout(() => {
-                liveRegion.textContent = '';
-            }, 1000);
-        };
+        console.warn(`Performance budget: ${message}`);
+        if (this.overlayEnabled) this.showOverlay();
     }
     
-    setupReducedMotion() {
-        // Respect user's motion preferences
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-            // Disable animations for users who prefer reduced motion
-            const style = document.createElement('style');
-            style.textContent = `
-                *, *::before, *::after {
-                    animation-duration: 0.01ms !important;
-                    animation-iteration-count: 1 !important;
-                    transition-duration: 0.01ms !important;
-                }
+    // ---- Debug overlay ----
+    
+    showOverlay() {
+        if (!this.overlay) {
+            this.overlay = document.createElement('aside');
+            this.overlay.className = 'perf-overlay';
+            this.overlay.setAttribute('aria-label', 'Performance budget');
+            this.overlay.innerHTML = `
+                <div class="perf-overlay-header">
+                    <strong>Performance budget</strong>
+                    <button type="button" class="perf-overlay-close" aria-label="Close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <table class="perf-overlay-metrics"><tbody></tbody></table>
+                <ol class="perf-overlay-sources"></ol>
             `;
-            document.head.appendChild(style);
+            this.overlay.querySelector('.perf-overlay-close').addEventListener('click', () => this.hideOverlay());
         }
+        
+        if (!this.overlay.isConnected) document.body.appendChild(this.overlay);
+        this.renderOverlay();
     }
     
-    getAriaLabelFromIcon(className) {
-        const iconMap = {
-            'fa-envelope': 'Email',
-            'fa-phone': 'Phone',
-            'fa-linkedin': 'LinkedIn',
-            'fa-bars': 'Menu',
-            'fa-times': 'Close',
-            'fa-arrow-right': 'Next',
-            'fa-arrow-left': 'Previous'
-        };
-        
-        for (const [iconClass, label] of Object.entries(iconMap)) {
-            if (className.includes(iconClass)) {
-                return label;
-            }
-        }
+    hideOverlay() {
+        this.overlay?.remove();
+    }
+    
+    renderOverlay() {
+        if (!this.overlay?.isConnected || this.overlayQueued) return;
+        this.overlayQueued = true;
         
-        return 'Button';
+        scheduler.mutate(() => {
+            this.overlayQueued = false;
+            
+            const rows = Object.entries(METRIC_LABELS).map(([name, label]) => {
+                const value = this.metrics[name];
+                const over = value > this.budget[name];
+                
+                return `
+                    <tr${over ? ' class="over"' : ''}>
+                        <th scope="row">${label}</th>
+                        <td>${value === undefined ? '–' : this.format(name, value)}</td>
+                        <td>${this.format(name, this.budget[name])}</td>
+                    </tr>`;
+            }).join('');
+            
+            const { count, duration } = this.longFrames;
+            this.overlay.querySelector('tbody').innerHTML = `${rows}
+                <tr>
+                    <th scope="row">Long frames</th>
+                    <td>${count}</td>
+                    <td>${Math.round(duration)}ms</td>
+                </tr>`;
+            
+            this.overlay.querySelector('.perf-overlay-sources').innerHTML = this.topSources()
+                .map(({ source, duration }) => `<li>${escapeHTML(source)} <span>${duration}ms</span></li>`)
+                .join('');
+        });
     }
 }
 
+const performanceMonitor = new PerformanceMonitor();
+
 // ============================================
 // INITIALIZATION
 // ============================================
 
+// Page components in creation order. 'dom' components start as soon as the
+// document is parsed; 'content' ones once the loading screen has rendered
+// the data-driven sections.
+components
+    .register('ThemeManager', () => new ThemeManager(), { stage: 'dom' })
+    .register('PerformanceOptimizer', () => new PerformanceOptimizer(), { stage: 'dom' })
+    .register('AccessibilityEnhancer', () => new AccessibilityEnhancer(), { stage: 'dom' })
+    .register('ScrollSpy', () => new ScrollSpy())
+    .register('Navigation', registry => new Navigation(registry.get('ScrollSpy')), { dependsOn: ['ScrollSpy'] })
+    .register('ResumeBuilder', () => new ResumeBuilder())
+    .register('ImageLoader', () => new ImageLoader())
+    .register('ProjectModal', registry => new ProjectModal(registry.get('ImageLoader')), { dependsOn: ['ImageLoader'] })
+    .register('CatalogueFilter', () => new CatalogueFilter())
+    .register('CommandPalette', registry => new CommandPalette(
+        registry.require('Navigation'),
+        registry.require('ResumeBuilder'),
+        registry.require('ThemeManager')
+    ), { dependsOn: ['Navigation', 'ResumeBuilder', 'ThemeManager'] })
+    .register('HeroSection', () => new HeroSection())
+    .register('Typewriter', () => Typewriter.mountAll())
+    .register('Counter', () => Counter.mountAll())
+    .register('SkillsSection', () => new SkillsSection())
+    .register('ContactForm', () => new ContactForm())
+    .register('ScrollAnimations', () => new ScrollAnimations());
+
+if (CONFIG.ENABLE_PARTICLES) {
+    components.register('ParticleSystem', () => new ParticleSystem());
+}
+
 // Initialize the loading screen and other components
 document.addEventListener('DOMContentLoaded', () => {
-    new LoadingScreen();
-    new PerformanceOptimizer();
-    new AccessibilityEnhancer();
+    components.initAll('dom');
+    errorReporter.guard('I18n', () => i18n.bindSwitcher(document.getElementById('language-switcher')));
+    
+    // Renders content, then starts the 'content' components
+    errorReporter.guard('LoadingScreen', () => new LoadingScreen());
 });
 
 // Handle page visibility changes for performance
 document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
-        // Pause animations when page is not visible
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
-        }
+        // Pause every animation and scroll handler while the page is hidden
+        scheduler.pause();
+        components.pause();
     } else {
-        // Resume animations when page becomes visible
-        const particleSystem = window.particleSystem;
-        if (particleSystem) {
-            particleSystem.animate();
-        }
+        scheduler.resume();
+        components.resume();
     }
 });
 
@@ -1147,6 +6838,11 @@ window.addEventListener('resize', debounce(() => {
 if (typeof window !== 'undefined') {
     window.PortfolioDebug = {
         CONFIG,
+        scheduler,
+        i18n,
+        errorReporter,
+        performanceMonitor,
+        components,
         DYNAMIC_TITLES,
         particles,
         smoothScrollTo,
@@ -1155,43 +6851,304 @@ if (typeof window !== 'undefined') {
 }
 
 // ============================================
-// ERROR HANDLING
+// ANALYTICS & TRACKING (Optional)
 // ============================================
 
-window.addEventListener('error', (e) => {
-    console.error('Portfolio Error:', e.error);
-    // Log to analytics service in production
-});
+// Queued events kept while the collector is unreachable
+const ANALYTICS_MAX_QUEUE = 200;
 
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('Unhandled Promise Rejection:', e.reason);
-    // Log to analytics service in production
-});
+/**
+ * Batches analytics events and uploads them to the collector. Uses fetch
+ * with keepalive while the page is open and navigator.sendBeacon when it
+ * is being hidden, so the last batch survives navigation away.
+ */
+class AnalyticsTransport {
+    constructor(endpoint, { batchSize = CONFIG.ANALYTICS_BATCH_SIZE, flushInterval = CONFIG.ANALYTICS_FLUSH_INTERVAL } = {}) {
+        this.endpoint = endpoint;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.queue = [];
+        this.timer = null;
+        this.sending = false;
+    }
+    
+    enqueue(event) {
+        this.queue.push(event);
+        
+        // Drop the oldest events rather than grow without bound while offline
+        if (this.queue.length > ANALYTICS_MAX_QUEUE) {
+            this.queue.splice(0, this.queue.length - ANALYTICS_MAX_QUEUE);
+        }
+        
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+    
+    createBatch(events) {
+        return JSON.stringify({ schema: 'portfolio.batch/1', sentAt: Date.now(), events });
+    }
+    
+    /**
+     * Upload the queue one batch at a time. Only one flush runs at once; one
+     * that is already running also sends events queued in the meantime.
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        if (this.sending) return;
+        this.sending = true;
+        
+        while (this.queue.length) {
+            const events = this.queue.splice(0, this.batchSize);
+            
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: this.createBatch(events),
+                    keepalive: true
+                });
+                
+                if (!response.ok) {
+                    throw new Error(`Collector responded with ${response.status}`);
+                }
+            } catch (error) {
+                // Put the batch back and retry on the next flush
+                this.queue.unshift(...events);
+                clearTimeout(this.timer);
+                this.timer = setTimeout(() => this.flush(), this.flushInterval);
+                console.warn('Analytics upload failed:', error.message);
+                break;
+            }
+        }
+        
+        // Events queued meanwhile went out with this flush
+        if (!this.queue.length) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.sending = false;
+    }
+    
+    /**
+     * Hand everything queued to the browser; sendBeacon keeps sending after
+     * the page is gone
+     */
+    flushWithBeacon() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        while (this.queue.length) {
+            const events = this.queue.splice(0, this.batchSize);
+            const body = new Blob([this.createBatch(events)], { type: 'application/json' });
+            
+            if (!navigator.sendBeacon || !navigator.sendBeacon(this.endpoint, body)) {
+                fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+            }
+        }
+    }
+    
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+    }
+}
 
-// ============================================
-// ANALYTICS & TRACKING (Optional)
-// ============================================
+// English consent banner text, used when no catalogue could be loaded
+const CONSENT_MESSAGES = {
+    label: 'Analytics consent',
+    question: 'May I collect anonymous usage statistics (pages viewed, scroll depth, clicks) to improve this portfolio? Nothing is recorded unless you agree.',
+    doNotTrack: 'Your browser asks sites not to track you, so analytics stay switched off.',
+    decline: 'Decline',
+    accept: 'Accept',
+    ok: 'OK'
+};
 
+/**
+ * Visitor analytics. Nothing is recorded until the visitor opts in through
+ * the consent banner, and never when Do Not Track or Global Privacy Control
+ * is on. Events follow analytics-event.schema.json.
+ */
 class Analytics {
     constructor() {
         this.events = [];
+        this.consent = this.readConsent();
+        this.transport = CONFIG.ANALYTICS_ENDPOINT
+            ? new AnalyticsTransport(CONFIG.ANALYTICS_ENDPOINT)
+            : null;
         this.init();
     }
     
     init() {
         this.trackScrollDepth();
+        this.trackSectionViews();
         this.trackInteractions();
         this.trackPerformance();
+        this.bindFlushEvents();
+        this.bindConsentControls();
+        
+        if (this.consent === 'unset') {
+            this.showConsentBanner();
+        }
+    }
+    
+    // ---- Consent ----
+    
+    static get doNotTrack() {
+        return navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1' ||
+            navigator.globalPrivacyControl === true;
+    }
+    
+    /**
+     * 'granted', 'denied', 'unset' or 'dnt' (browser privacy signal, which
+     * always wins over a stored choice)
+     */
+    readConsent() {
+        if (Analytics.doNotTrack) return 'dnt';
+        
+        try {
+            const stored = localStorage.getItem(CONFIG.ANALYTICS_CONSENT_KEY);
+            return ['granted', 'denied'].includes(stored) ? stored : 'unset';
+        } catch (error) {
+            return 'unset';
+        }
+    }
+    
+    setConsent(granted) {
+        if (this.consent === 'dnt') return;
+        this.consent = granted ? 'granted' : 'denied';
+        
+        try {
+            localStorage.setItem(CONFIG.ANALYTICS_CONSENT_KEY, this.consent);
+            
+            if (!granted) {
+                // Forget everything that identified this visitor
+                localStorage.removeItem(CONFIG.ANALYTICS_VISITOR_KEY);
+                sessionStorage.removeItem(CONFIG.ANALYTICS_SESSION_KEY);
+            }
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this visit only
+        }
+        
+        if (!granted) {
+            this.events = [];
+            this.transport?.clear();
+        }
+    }
+    
+    get enabled() {
+        return this.consent === 'granted' && this.isSampled();
+    }
+    
+    /**
+     * Sampling is decided per visitor, so a sampled-in visitor reports
+     * complete sessions rather than random fragments
+     */
+    isSampled() {
+        const rate = CONFIG.ANALYTICS_SAMPLE_RATE;
+        if (rate >= 1) return true;
+        
+        let hash = 0;
+        for (const char of this.visitorId) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return hash / 0xffffffff < rate;
+    }
+    
+    bindConsentControls() {
+        // Any element with data-analytics-consent reopens the banner
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-analytics-consent]')) {
+                e.preventDefault();
+                this.showConsentBanner();
+            }
+        });
+    }
+    
+    showConsentBanner() {
+        if (document.querySelector('.consent-banner')) return;
+        
+        const banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', i18n.t('consent.label', {}, CONSENT_MESSAGES.label));
+        banner.dataset.i18nAttr = 'aria-label:consent.label';
+        
+        // data-i18n keeps the banner in step with the language switcher
+        const text = key => escapeHTML(i18n.t(`consent.${key}`, {}, CONSENT_MESSAGES[key]));
+        
+        banner.innerHTML = this.consent === 'dnt'
+            ? `
+                <p data-i18n="consent.doNotTrack">${text('doNotTrack')}</p>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-primary" data-consent="close" data-i18n="consent.ok">${text('ok')}</button>
+                </div>
+            `
+            : `
+                <p data-i18n="consent.question">${text('question')}</p>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-secondary" data-consent="deny" data-i18n="consent.decline">${text('decline')}</button>
+                    <button type="button" class="btn btn-primary" data-consent="grant" data-i18n="consent.accept">${text('accept')}</button>
+                </div>
+            `;
+        
+        banner.addEventListener('click', (e) => {
+            const choice = e.target.closest('[data-consent]')?.dataset.consent;
+            if (!choice) return;
+            
+            if (choice !== 'close') {
+                this.setConsent(choice === 'grant');
+            }
+            
+            banner.classList.remove('visible');
+            setTimeout(() => banner.remove(), 300);
+        });
+        
+        document.body.appendChild(banner);
+        setTimeout(() => banner.classList.add('visible'), 100);
+    }
+    
+    // ---- Identity ----
+    
+    get visitorId() {
+        return this.getStoredId(localStorage, CONFIG.ANALYTICS_VISITOR_KEY);
+    }
+    
+    get sessionId() {
+        return this.getStoredId(sessionStorage, CONFIG.ANALYTICS_SESSION_KEY);
     }
     
+    getStoredId(storage, key) {
+        try {
+            let id = storage.getItem(key);
+            if (!id) {
+                id = createId();
+                storage.setItem(key, id);
+            }
+            return id;
+        } catch (error) {
+            // Storage unavailable: fall back to an id for this page view
+            this.fallbackIds = this.fallbackIds || {};
+            return this.fallbackIds[key] || (this.fallbackIds[key] = createId());
+        }
+    }
+    
+    // ---- Collection ----
+    
     trackScrollDepth() {
         let maxScroll = 0;
         const milestones = [25, 50, 75, 100];
         const tracked = new Set();
         
-        window.addEventListener('scroll', throttle(() => {
+        scheduler.on('scroll', ({ scrollY, viewportHeight, documentHeight }) => {
             const scrollPercent = Math.round(
-                (window.scrollY / (document.body.scrollHeight - window.innerHeight)) * 100
+                (scrollY / Math.max(documentHeight - viewportHeight, 1)) * 100
             );
             
             if (scrollPercent > maxScroll) {
@@ -1204,7 +7161,14 @@ class Analytics {
                     }
                 });
             }
-        }, 500));
+        }, 'Analytics');
+    }
+    
+    trackSectionViews() {
+        // ScrollSpy reports a section once the visitor moves on from it
+        document.addEventListener('portfolioSectionViewed', (e) => {
+            this.track('section_viewed', { section: e.detail.id, dwell_ms: e.detail.dwell });
+        });
     }
     
     trackInteractions() {
@@ -1238,31 +7202,74 @@ class Analytics {
                 });
             }, 0);
         });
+        
+        // Core Web Vitals and the loading screen delay, once their values are final
+        document.addEventListener('portfolioPerformanceMetric', (e) => {
+            const { name, value, rating, budget } = e.detail;
+            this.track('performance_metric', { metric: name, value, rating, budget, over_budget: value > budget });
+        });
+        
+        // Where main-thread time went in frames over 50ms, sent as the page is hidden
+        document.addEventListener('portfolioLongFrames', (e) => {
+            const { count, duration, sources } = e.detail;
+            this.track('long_frames', { count, total_ms: duration, sources });
+        });
+    }
+    
+    bindFlushEvents() {
+        if (!this.transport) return;
+        
+        // pagehide is the last reliable moment to send; visibilitychange
+        // covers mobile browsers that discard hidden tabs without it
+        window.addEventListener('pagehide', () => this.transport.flushWithBeacon());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.transport.flushWithBeacon();
+            }
+        });
     }
     
     track(eventName, eventData = {}) {
+        if (!this.enabled) return;
+        
         const event = {
+            schema: 'portfolio.event/1',
+            id: createId(),
             name: eventName,
             data: eventData,
             timestamp: Date.now(),
-            url: window.location.href,
+            visitorId: this.visitorId,
+            sessionId: this.sessionId,
+            page: {
+                url: window.location.href,
+                path: window.location.pathname,
+                title: document.title,
+                referrer: document.referrer
+            },
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            language: navigator.language,
             userAgent: navigator.userAgent
         };
         
         this.events.push(event);
-        console.log('Analytics Event:', event);
-        
-        // Send to analytics service in production
-        // this.sendToAnalytics(event);
+        errorReporter.addBreadcrumb('analytics', eventName, eventData);
+        this.sendToAnalytics(event);
     }
     
     sendToAnalytics(event) {
-        // Implementation for sending to analytics service
-        // Example: Google Analytics, Mixpanel, etc.
+        if (this.transport) {
+            this.transport.enqueue(event);
+        } else {
+            // No collector configured: keep events local for debugging
+            console.log('Analytics Event:', event);
+        }
     }
 }
 
 // Initialize analytics (optional)
 if (window.location.hostname !== 'localhost') {
-    new Analytics();
+    window.analytics = new Analytics();
 }
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Service worker for offline support
+ * Bump CACHE_VERSION whenever a precached file changes: the new worker then
+ * waits and the page offers an "update available" reload.
+ */
+
+const CACHE_VERSION = 'v4';
+const PRECACHE = `portfolio-precache-${CACHE_VERSION}`;
+const RUNTIME = `portfolio-runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = 'offline.html';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'script.js',
+    'styles.css',
+    'images/profile-photo-lqip.jpg', // The full-size variant the browser picks is cached at runtime
+    'particle-engine.js',
+    'particle-worker.js',
+    'pdf-writer.js',
+    'print.css',
+    'portfolio.json',
+    'locales/en.json', // Other catalogues are cached at runtime once chosen
+    OFFLINE_URL
+];
+
+// Third-party CDNs served stale-while-revalidate
+const CDN_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'cdnjs.cloudflare.com',
+    'unpkg.com'
+];
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the page decides when to switch versions
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [PRECACHE, RUNTIME];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('portfolio-') && !currentCaches.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ============================================
+// FETCH STRATEGIES
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, OFFLINE_URL));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.origin === self.location.origin) {
+        // Content data changes more often than the code that renders it
+        event.respondWith(url.pathname.endsWith('.json')
+            ? networkFirst(request)
+            : cacheFirst(request));
+    }
+});
+
+/**
+ * Opaque responses (cross-origin requests without CORS) report status 0
+ * but are still worth caching for CDN stylesheets and fonts
+ */
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(RUNTIME);
+
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (fallbackUrl) return caches.match(fallbackUrl);
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(RUNTIME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            if (isCacheable(response)) {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the background refresh finishes
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
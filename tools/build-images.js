@@ -0,0 +1,140 @@
+/**
+ * Responsive image generator
+ * Writes AVIF, WebP and JPEG variants at several widths plus a tiny blurred
+ * placeholder (LQIP) for each source image, and prints the srcset strings to
+ * paste into index.html or a project's "image" entry in portfolio.json.
+ *
+ * Usage: node tools/build-images.js [--widths=360,720] [--out=images] <source...>
+ * Needs sharp, which is not a dependency of the site: npm install --no-save sharp
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('build-images.js needs the "sharp" package. Install it with:\n\n    npm install --no-save sharp\n');
+    process.exit(1);
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const DEFAULTS = {
+    widths: [360, 720, 1080], // Widths larger than the source are skipped
+    out: 'images'
+};
+
+// Encoder options per output format, in <picture> source order
+const FORMATS = [
+    { ext: 'avif', type: 'image/avif', encode: image => image.avif({ quality: 50, effort: 4 }) },
+    { ext: 'webp', type: 'image/webp', encode: image => image.webp({ quality: 72 }) },
+    { ext: 'jpg', type: 'image/jpeg', encode: image => image.jpeg({ quality: 78, mozjpeg: true, progressive: true }) }
+];
+
+const LQIP_WIDTH = 24;
+
+// ============================================
+// GENERATION
+// ============================================
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, sources: [] };
+
+    argv.forEach(arg => {
+        const [flag, value] = arg.split('=');
+
+        if (flag === '--widths') {
+            options.widths = value.split(',').map(Number).filter(width => width > 0);
+        } else if (flag === '--out') {
+            options.out = value;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.sources.push(arg);
+        }
+    });
+
+    if (!options.sources.length) {
+        throw new Error('No source images given');
+    }
+    return options;
+}
+
+async function buildImage(source, { widths, out }) {
+    const name = path.basename(source, path.extname(source));
+    const metadata = await sharp(source).rotate().metadata();
+    const fits = widths.filter(width => width <= metadata.width);
+
+    // Always produce at least one variant, even from a small source
+    const targets = fits.length ? fits : [metadata.width];
+    const variants = {};
+
+    for (const format of FORMATS) {
+        variants[format.type] = [];
+
+        for (const width of targets) {
+            const file = path.join(out, `${name}-${width}.${format.ext}`);
+            await format.encode(sharp(source).rotate().resize({ width })).toFile(file);
+            variants[format.type].push({ file: toUrl(file), width });
+        }
+    }
+
+    const lqip = path.join(out, `${name}-lqip.jpg`);
+    await sharp(source).rotate().resize({ width: LQIP_WIDTH }).blur(1).jpeg({ quality: 40 }).toFile(lqip);
+
+    const largest = targets[targets.length - 1];
+    return {
+        source,
+        width: largest,
+        height: Math.round(metadata.height * largest / metadata.width),
+        lqip: toUrl(lqip),
+        variants
+    };
+}
+
+function toUrl(file) {
+    return file.split(path.sep).join('/');
+}
+
+function srcset(entries) {
+    return entries.map(entry => `${entry.file} ${entry.width}w`).join(', ');
+}
+
+/**
+ * Print the values for the markup: <source>/<img> data-srcset attributes,
+ * or the "image" object of a project in portfolio.json
+ */
+function report(result) {
+    const jpeg = result.variants['image/jpeg'];
+
+    const image = {
+        src: jpeg[jpeg.length - 1].file,
+        alt: '',
+        srcset: srcset(jpeg),
+        sources: FORMATS
+            .filter(format => format.type !== 'image/jpeg')
+            .map(format => ({ type: format.type, srcset: srcset(result.variants[format.type]) })),
+        lqip: result.lqip
+    };
+
+    console.log(`\n${result.source} (${result.width}x${result.height} at the largest width)`);
+    console.log(JSON.stringify(image, null, 4));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    fs.mkdirSync(options.out, { recursive: true });
+
+    for (const source of options.sources) {
+        report(await buildImage(source, options));
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});